@@ -0,0 +1,99 @@
+/**
+ * Benchmark the meetup engine on large generated groups
+ * Usage: npm run bench
+ */
+import { createServer } from 'vite';
+
+// Group sizes to time, as [friends, sets per friend]
+const CASES = [[5, 10], [12, 20], [20, 30], [50, 30]];
+const RUNS = 5;
+const STAGES = ['Kinetic Field', 'Circuit Grounds', 'Cosmic Meadow', 'Neon Garden', 'Basspod', 'Wasteland', 'Quantum Valley', 'Stereo Bloom'];
+const DAYS = [
+  { id: 'day-1', label: 'Day 1', date: '2025-05-16', gatesOpen: '19:00', lastSetEnds: '05:30' },
+  { id: 'day-2', label: 'Day 2', date: '2025-05-17', gatesOpen: '19:00', lastSetEnds: '05:30' },
+  { id: 'day-3', label: 'Day 3', date: '2025-05-18', gatesOpen: '19:00', lastSetEnds: '05:30' }
+];
+
+/**
+ * Small seeded random number generator so every run times the same data
+ * @param {number} seed - Starting seed
+ * @returns {Function} - Function returning numbers between 0 and 1
+ */
+const createRandom = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+/**
+ * Build a lineup of hour-long sets on every stage, with a set starting every 75 minutes
+ * @returns {Array} - Lineup sets
+ */
+const createLineup = () => DAYS.flatMap(day => STAGES.flatMap((stage, stageIdx) => {
+  const sets = [];
+  const start = new Date(`${day.date}T19:00:00`);
+  start.setMinutes(start.getMinutes() + stageIdx * 10);
+  for (let slot = 0; slot < 8; slot++) {
+    const setStart = new Date(start.getTime() + slot * 75 * 60 * 1000);
+    sets.push({
+      day: day.id,
+      artist: `${stage} Artist ${slot + 1}`,
+      stage,
+      start: setStart.toISOString(),
+      end: new Date(setStart.getTime() + 60 * 60 * 1000).toISOString()
+    });
+  }
+  return sets;
+}));
+
+/**
+ * Give every friend a random pick of sets from the lineup
+ * @param {number} friends - Number of friends
+ * @param {number} setsPerFriend - Sets each friend picks
+ * @returns {Array} - Schedules
+ */
+const createSchedules = (friends, setsPerFriend) => {
+  const random = createRandom(friends * 1000 + setsPerFriend);
+  const lineup = createLineup();
+
+  return Array.from({ length: friends }, (_, idx) => {
+    const picks = [...lineup].sort(() => random() - 0.5).slice(0, setsPerFriend);
+    return {
+      name: `Friend ${idx + 1}`,
+      sets: picks.map(set => ({ ...set, priority: random() < 0.2 ? 'maybe' : 'want' }))
+    };
+  });
+};
+
+const server = await createServer({
+  configFile: false,
+  logLevel: 'error',
+  server: { middlewareMode: true },
+  appType: 'custom'
+});
+
+try {
+  const { default: findSharedGaps } = await server.ssrLoadModule('/src/utils/findSharedGaps.js');
+
+  console.log('friends × sets     median     slowest    suggestions');
+  CASES.forEach(([friends, setsPerFriend]) => {
+    const schedules = createSchedules(friends, setsPerFriend);
+    const times = [];
+    let suggestions = 0;
+
+    for (let run = 0; run < RUNS; run++) {
+      const started = performance.now();
+      suggestions = findSharedGaps(schedules, {}, { days: DAYS }).length;
+      times.push(performance.now() - started);
+    }
+
+    times.sort((a, b) => a - b);
+    console.log(
+      `${`${friends} × ${setsPerFriend}`.padEnd(18)} ` +
+      `${`${times[Math.floor(RUNS / 2)].toFixed(1)} ms`.padEnd(10)} ` +
+      `${`${times[RUNS - 1].toFixed(1)} ms`.padEnd(10)} ` +
+      `${suggestions}`
+    );
+  });
+} finally {
+  await server.close();
+}
@@ -5,20 +5,51 @@ import './App.css';
 
 // Components
 import FestivalScheduleUploader from './components/FestivalScheduleUploader';
+import FestivalDaysEditor from './components/FestivalDaysEditor';
+import FestivalDayTabs from './components/FestivalDayTabs';
+import PlannerSettingsPanel from './components/PlannerSettingsPanel';
+import AutoPlanPanel from './components/AutoPlanPanel';
+import StageDistanceEditor from './components/StageDistanceEditor';
+import SetClashResolver from './components/SetClashResolver';
+import SharedSetsView from './components/SharedSetsView';
+import WhatIfSuggestions from './components/WhatIfSuggestions';
 import VenmoTipJar from './components/VenmoTipJar';
+import FestivalLineupPanel from './components/FestivalLineupPanel';
 import deduplicateSets from './utils/deduplicateSets';
 import findSharedGaps from './utils/findSharedGaps';
+import autoPlanMeetups from './utils/autoPlanMeetups';
+import findSharedSets from './utils/findSharedSets';
+import findWhatIfMeetups from './utils/findWhatIfMeetups';
+import getSetEnd, { hasKnownEnd } from './utils/getSetEnd';
+import getBusyWindow, { isPartialAttendance } from './utils/getBusyWindow';
+import findSetClashes from './utils/findSetClashes';
+import normalizePlannerSettings from './utils/plannerSettings';
+import { createFestivalDay, getDefaultFestivalDays, moveSetToDay, normalizeFestivalDays } from './utils/festivalDays';
+import { getScheduleStages, setWalkTime } from './utils/stageDistances';
+import { describeMeetupScore, getMeetupAttendees } from './utils/rankMeetups';
+import { sortByFestivalTime } from './utils/festivalClock';
+import { describeSetSkip, getSetPriority, SET_PRIORITY_LABELS } from './utils/setPriority';
+import { createScheduleCsv } from './utils/scheduleCsv';
+import { normalizeLineup, pickLineupSet } from './utils/festivalLineup';
+import festivalSchedule from './data/festivalSchedule';
+
+// Left border for each set priority in the schedule list
+const PRIORITY_BORDERS = {
+  must: 'border-edc-pink',
+  want: 'border-edc-purple/30',
+  maybe: 'border-white/10 opacity-70'
+};
 
 // Add Capacitor imports for native filesystem support
 import { Capacitor } from '@capacitor/core';
-import { Filesystem, Directory } from '@capacitor/filesystem';
+import { Filesystem, Directory, Encoding } from '@capacitor/filesystem';
 
 /**
  * Festival Meetup Times Planner App
  */
 function App() {
   // Page navigation state - controls which page is currently shown
-  // Values: 'main', 'meetupGaps', 'meetupPlan'
+  // Values: 'main', 'meetupGaps', 'sharedSets', 'meetupPlan'
   const [currentPage, setCurrentPage] = useState('main');
   
   // State for storing schedules
@@ -27,12 +58,18 @@ function App() {
   // State for meetup time gaps
   const [meetupGaps, setMeetupGaps] = useState([]);
   
+  // Changes that would free up a meetup for everyone, shown when no time works for the whole group
+  const [whatIfMeetups, setWhatIfMeetups] = useState([]);
+  
   // State for selected meetup gaps
   const [selectedGaps, setSelectedGaps] = useState({});
   
   // State for finalized meetup plan
   const [meetupPlan, setMeetupPlan] = useState([]);
   
+  // Friends the last auto-plan could not check in with often enough
+  const [autoPlanWarnings, setAutoPlanWarnings] = useState([]);
+  
   // State for tracking which meetup's location is being edited
   const [editingLocationIndex, setEditingLocationIndex] = useState(null);
   const [editingLocation, setEditingLocation] = useState('');
@@ -46,6 +83,27 @@ function App() {
   // Counter for naming schedules
   const [scheduleCounter, setScheduleCounter] = useState(1);
   
+  // Planner settings (e.g. default set length for sets without an end time)
+  const [plannerSettings, setPlannerSettings] = useState(() => normalizePlannerSettings());
+  
+  // Walking minutes between this festival's stages, keyed by stage pair
+  const [stageDistances, setStageDistances] = useState({});
+  
+  // Festival days for multi-day festivals
+  const [festivalDays, setFestivalDays] = useState(() => getDefaultFestivalDays());
+  
+  // Festival day that new uploads belong to
+  const [uploadDayId, setUploadDayId] = useState(null);
+  
+  // Full festival timetable that friends pick their sets from
+  const [lineup, setLineup] = useState([]);
+  
+  // Festival day tab selected on the meetup gaps and plan pages
+  const [activeDayId, setActiveDayId] = useState(null);
+  
+  // Names of saved schedules that had overlapping sets when they were loaded
+  const [loadedClashSchedules, setLoadedClashSchedules] = useState([]);
+  
   // Show/hide instructions
   const [showInstructions, setShowInstructions] = useState(false);
   
@@ -95,11 +153,33 @@ function App() {
     try {
       const savedSchedules = localStorage.getItem('festivalSchedules');
       const savedMeetups = localStorage.getItem('festivalMeetups');
+      const savedSettings = localStorage.getItem('festivalSettings');
+      const savedDays = localStorage.getItem('festivalDays');
+      const savedDistances = localStorage.getItem('festivalStageDistances');
+      const savedLineup = localStorage.getItem('festivalLineup');
+      
+      const loadedDays = savedDays ? normalizeFestivalDays(JSON.parse(savedDays)) : getDefaultFestivalDays();
+      setFestivalDays(loadedDays);
+      
+      // Start from the bundled lineup until one is loaded
+      setLineup(normalizeLineup(savedLineup ? JSON.parse(savedLineup) : festivalSchedule, loadedDays));
       
       if (savedSchedules) {
-        const parsedSchedules = JSON.parse(savedSchedules);
+        // Schedules saved before festival days existed belong to the first day
+        const parsedSchedules = JSON.parse(savedSchedules).map(schedule => ({
+          ...schedule,
+          sets: (schedule.sets || []).map(set => (
+            loadedDays.some(day => day.id === set.day) ? set : { ...set, day: loadedDays[0].id }
+          ))
+        }));
         setSchedules(parsedSchedules);
         
+        // Saved schedules may contain clashes from before clash detection existed
+        const { defaultSetDuration } = normalizePlannerSettings(savedSettings ? JSON.parse(savedSettings) : {});
+        setLoadedClashSchedules(parsedSchedules
+          .filter(schedule => findSetClashes(schedule.sets, defaultSetDuration).length > 0)
+          .map(schedule => schedule.name));
+        
         if (parsedSchedules.length > 0) {
           setScheduleCounter(parsedSchedules.length + 1);
         }
@@ -110,6 +190,14 @@ function App() {
         setSelectedGaps(parsedMeetups.selectedGaps || {});
         setMeetupPlan(parsedMeetups.meetupPlan || []);
       }
+      
+      if (savedSettings) {
+        setPlannerSettings(normalizePlannerSettings(JSON.parse(savedSettings)));
+      }
+      
+      if (savedDistances) {
+        setStageDistances(JSON.parse(savedDistances) || {});
+      }
     } catch (error) {
       console.error('Error loading from localStorage:', error);
     }
@@ -133,6 +221,124 @@ function App() {
     }
   }, [schedules, selectedGaps, meetupPlan]);
   
+  // Save planner settings, festival days, walking times and the lineup separately so they survive a reset
+  useEffect(() => {
+    try {
+      localStorage.setItem('festivalSettings', JSON.stringify(plannerSettings));
+      localStorage.setItem('festivalDays', JSON.stringify(festivalDays));
+      localStorage.setItem('festivalStageDistances', JSON.stringify(stageDistances));
+      localStorage.setItem('festivalLineup', JSON.stringify(lineup));
+    } catch (error) {
+      console.error('Error saving settings to localStorage:', error);
+    }
+  }, [plannerSettings, festivalDays, stageDistances, lineup]);
+  
+  /**
+   * Add a festival day after the last configured day
+   */
+  const addFestivalDay = () => {
+    setFestivalDays(prev => [...prev, createFestivalDay(prev)]);
+  };
+  
+  /**
+   * Update a festival day's label or date
+   * Changing the date moves that day's sets onto the new date
+   * @param {string} dayId - Id of the festival day to update
+   * @param {Object} changes - Changed fields (label, date, gatesOpen and/or lastSetEnds)
+   */
+  const updateFestivalDay = (dayId, changes) => {
+    const day = festivalDays.find(d => d.id === dayId);
+    if (!day) return;
+    
+    const updatedDay = { ...day, ...changes };
+    setFestivalDays(festivalDays.map(d => (d.id === dayId ? updatedDay : d)));
+    
+    if (changes.date && changes.date !== day.date) {
+      const moveSets = (sets) => sets.map(set => (set.day === dayId ? moveSetToDay(set, updatedDay, day) : set));
+      setSchedules(schedules.map(schedule => ({ ...schedule, sets: moveSets(schedule.sets) })));
+      setCurrentSchedule({ ...currentSchedule, sets: moveSets(currentSchedule.sets) });
+      setLineup(moveSets(lineup));
+      setMeetupGaps([]);
+      setWhatIfMeetups([]);
+    } else if (changes.gatesOpen || changes.lastSetEnds) {
+      // Gaps found within the old festival hours are now outdated
+      setMeetupGaps([]);
+      setWhatIfMeetups([]);
+    }
+  };
+  
+  /**
+   * Remove a festival day that no schedule uses
+   * @param {string} dayId - Id of the festival day to remove
+   */
+  const removeFestivalDay = (dayId) => {
+    if (festivalDays.length < 2) return;
+    
+    const isUsed = [...schedules, currentSchedule].some(schedule =>
+      schedule.sets.some(set => set.day === dayId)
+    );
+    if (isUsed) {
+      alert('This day still has sets in a schedule. Remove or move those sets first.');
+      return;
+    }
+    
+    setFestivalDays(festivalDays.filter(day => day.id !== dayId));
+    setLineup(lineup.filter(set => set.day !== dayId));
+    if (uploadDayId === dayId) setUploadDayId(null);
+    if (activeDayId === dayId) setActiveDayId(null);
+  };
+  
+  /**
+   * Get the label of a festival day by id
+   * @param {string} dayId - Id of the festival day
+   * @returns {string} - The day's label, or an empty string if unknown
+   */
+  const getDayLabel = (dayId) => {
+    const day = festivalDays.find(d => d.id === dayId);
+    return day ? day.label : '';
+  };
+  
+  /**
+   * Update one or more planner settings
+   * @param {Object} changes - Changed settings, e.g. { meetupLength: 20 }
+   */
+  const updatePlannerSettings = (changes) => {
+    setPlannerSettings(prev => normalizePlannerSettings({
+      ...prev,
+      ...changes
+    }));
+    
+    // Gaps computed with the old settings are now outdated
+    setMeetupGaps([]);
+    setWhatIfMeetups([]);
+  };
+  
+  /**
+   * Update the auto-plan constraints
+   * These only affect which meetups get picked, so the found gaps stay valid
+   * @param {Object} changes - Changed settings, e.g. { checkInHours: 2 }
+   */
+  const updateAutoPlanSettings = (changes) => {
+    setPlannerSettings(prev => normalizePlannerSettings({
+      ...prev,
+      ...changes
+    }));
+  };
+  
+  /**
+   * Update the walking time between two stages
+   * @param {string} stageA - First stage name
+   * @param {string} stageB - Second stage name
+   * @param {number|string} minutes - Walking time in minutes (empty to use the default)
+   */
+  const updateStageDistance = (stageA, stageB, minutes) => {
+    setStageDistances(prev => setWalkTime(prev, stageA, stageB, minutes));
+    
+    // Gaps computed with the old walking times are now outdated
+    setMeetupGaps([]);
+    setWhatIfMeetups([]);
+  };
+  
   /**
    * Handle adding a new schedule
    */
@@ -147,11 +353,23 @@ function App() {
       // Use default name if not provided
       const scheduleName = currentSchedule.name.trim() || `Schedule ${scheduleCounter}`;
       
-      // Create deep copy of sets
+      // Overlapping sets make the gap engine's results meaningless, so check before adding
+      const clashes = findSetClashes(currentSchedule.sets, plannerSettings.defaultSetDuration);
+      if (clashes.length > 0) {
+        const confirmAdd = window.confirm(
+          `${scheduleName} has ${clashes.length === 1 ? '1 clash' : `${clashes.length} clashes`} between overlapping sets. ` +
+          'You can resolve them in the set list first. Add the schedule anyway?'
+        );
+        if (!confirmAdd) return;
+      }
+      
+      // Create deep copy of sets and personal busy time
       const setsCopy = JSON.parse(JSON.stringify(currentSchedule.sets));
+      const blocksCopy = JSON.parse(JSON.stringify(currentSchedule.blocks || []));
+      const presenceCopy = JSON.parse(JSON.stringify(currentSchedule.presence || {}));
       
       // Add the schedule
-      setSchedules([...schedules, { name: scheduleName, sets: setsCopy }]);
+      setSchedules([...schedules, { name: scheduleName, sets: setsCopy, blocks: blocksCopy, presence: presenceCopy }]);
       
       // Update counter
       setScheduleCounter(scheduleCounter + 1);
@@ -164,6 +382,7 @@ function App() {
       
       // Reset any found gaps as they're now outdated
       setMeetupGaps([]);
+      setWhatIfMeetups([]);
       setMeetupPlan([]);
       
       // Reset to main page if we were on another page
@@ -178,6 +397,19 @@ function App() {
     }
   };
   
+  /**
+   * Replace the sets of a saved schedule, e.g. after resolving a clash
+   * @param {number} index - The index of the schedule to update
+   * @param {Array} sets - The schedule's new sets
+   */
+  const updateScheduleSets = (index, sets) => {
+    setSchedules(schedules.map((schedule, idx) => (idx === index ? { ...schedule, sets } : schedule)));
+    
+    // Gaps computed with the old sets are now outdated
+    setMeetupGaps([]);
+    setWhatIfMeetups([]);
+  };
+  
   /**
    * Remove a schedule by index
    * @param {number} index - The index of the schedule to remove
@@ -190,6 +422,7 @@ function App() {
       
       // Reset gaps since they're now outdated
       setMeetupGaps([]);
+      setWhatIfMeetups([]);
       setMeetupPlan([]);
       
       // Reset to main page if we were on another page
@@ -201,6 +434,106 @@ function App() {
     }
   };
   
+  /**
+   * Save a schedule's sets as a CSV file, for editing in a spreadsheet or importing later
+   * @param {number} index - The index of the schedule to export
+   */
+  const exportScheduleCsv = async (index) => {
+    const schedule = schedules[index];
+    const csv = createScheduleCsv(sortByFestivalTime(schedule.sets, festivalDays), festivalDays);
+    const filename = `${schedule.name.trim().replace(/[^a-z0-9]+/gi, '-') || 'Schedule'}.csv`;
+    
+    try {
+      await saveTextFile(filename, csv, 'text/csv');
+    } catch (error) {
+      console.error('Error exporting schedule:', error);
+      alert('There was an error exporting the schedule. Please try again.');
+    }
+  };
+  
+  /**
+   * Save a text file, to Documents in the native app or as a download in the browser
+   * @param {string} filename - Name of the file
+   * @param {string} text - File contents
+   * @param {string} type - MIME type for the browser download
+   */
+  const saveTextFile = async (filename, text, type) => {
+    if (Capacitor.isNativePlatform()) {
+      // Native iOS/Android: write to Documents
+      await Filesystem.writeFile({ path: filename, data: text, directory: Directory.Documents, encoding: Encoding.UTF8 });
+      alert(`Saved ${filename} to Documents`);
+    } else {
+      const url = URL.createObjectURL(new Blob([text], { type }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    }
+  };
+  
+  /**
+   * Use sets as the festival lineup everyone picks from, replacing any lineup already loaded
+   * Sets already picked stay in the schedule being created, even when the new lineup does not have them
+   * @param {Array} sets - Sets with artist, stage, start and optional end and day
+   * @returns {boolean} - Whether any of the sets fell on a festival day
+   */
+  const loadLineup = (sets) => {
+    const loadedLineup = normalizeLineup(sets, festivalDays);
+    if (loadedLineup.length === 0) {
+      alert('None of these sets fall on your festival days. Check the festival dates and try again.');
+      return false;
+    }
+    
+    setLineup(loadedLineup);
+    return true;
+  };
+  
+  /**
+   * Turn the sets read from screenshots into the lineup, so the timetable only has to be read once
+   */
+  const makeLineupFromCurrentSets = () => {
+    if (!loadLineup(currentSchedule.sets)) return;
+    
+    // The sets now live in the lineup, ready to be picked
+    setCurrentSchedule(prev => ({ ...prev, sets: [] }));
+    document.dispatchEvent(new CustomEvent('clearUploader'));
+  };
+  
+  /**
+   * Add a lineup set to the schedule being created, or take it out if it is already there
+   * @param {Object} lineupSet - Set from the lineup
+   */
+  const toggleLineupSet = (lineupSet) => {
+    setCurrentSchedule(prev => {
+      const isPicked = prev.sets.some(set => set.lineupId === lineupSet.id);
+      const sets = isPicked
+        ? prev.sets.filter(set => set.lineupId !== lineupSet.id)
+        : sortByFestivalTime([...prev.sets, pickLineupSet(lineupSet)], festivalDays);
+      return { ...prev, sets };
+    });
+  };
+  
+  /**
+   * Download the lineup as JSON, to share with friends planning on another phone
+   */
+  const exportLineup = async () => {
+    try {
+      await saveTextFile('Festival-Lineup.json', JSON.stringify(lineup, null, 2), 'application/json');
+    } catch (error) {
+      console.error('Error exporting lineup:', error);
+      alert('There was an error exporting the lineup. Please try again.');
+    }
+  };
+  
+  /**
+   * Remove the festival lineup; sets already picked stay in their schedules
+   */
+  const clearLineup = () => {
+    if (!window.confirm('Remove the festival lineup? Schedules keep the sets already picked.')) return;
+    setLineup([]);
+  };
+  
   /**
    * Toggle expanded state for a schedule
    * @param {number} index - The index of the schedule to toggle
@@ -212,6 +545,19 @@ function App() {
     }));
   };
   
+  /**
+   * Replace the uploader's sets in the schedule being created, e.g. after a set is
+   * deleted, edited or dropped to resolve a clash
+   * Sets picked from the festival lineup are not in the uploader, so they are kept
+   * @param {Array} sets - The uploader's sets
+   */
+  const handleSetsChange = (sets) => {
+    setCurrentSchedule(prev => ({
+      ...prev,
+      sets: deduplicateSets(prev.sets.filter(set => set.lineupId), sets || [])
+    }));
+  };
+  
   /**
    * Handle extracted sets from schedule uploader
    * @param {Array} extractedSets - Array of extracted set objects
@@ -250,38 +596,24 @@ function App() {
     
     try {
       // Find all shared gaps
-      const gaps = findSharedGaps(schedules);
+      const gaps = findSharedGaps(schedules, plannerSettings, { stageDistances, days: festivalDays });
+      
+      // When no time works for everyone without skipping a set, look for the smallest change that would make one
+      const hasEveryoneGap = gaps.some(gap => !gap.isFlexible && getMeetupAttendees(gap).length === schedules.length);
+      const whatIfs = hasEveryoneGap
+        ? []
+        : findWhatIfMeetups(schedules, plannerSettings, { stageDistances, days: festivalDays });
       
-      if (gaps.length === 0) {
+      if (gaps.length === 0 && whatIfs.length === 0) {
         alert('No shared time gaps found between your schedules. Try adding more schedules or more sets.');
         return;
       }
       
-      // Helper function to adjust time for festival sorting (8am as starting point)
-      const getAdjustedSortTime = (date) => {
-        const hours = date.getHours();
-        const minutes = date.getMinutes();
-        
-        // Calculate hours offset from 8am (0-23 hours scale)
-        // Hours 8-23 come first (0-15), then hours 0-7 (16-23)
-        const adjustedHours = (hours >= 8) ? hours - 8 : hours + 16;
-        
-        // Return a comparable value (hours * 60 + minutes) for easy sorting
-        return adjustedHours * 60 + minutes;
-      };
-
-      // Sort gaps: recommended first, then by festival time (8am as starting point)
-      gaps.sort((a, b) => {
-        if (a.isRecommended !== b.isRecommended) {
-          return a.isRecommended ? -1 : 1;
-        }
-        const timeA = getAdjustedSortTime(new Date(a.start));
-        const timeB = getAdjustedSortTime(new Date(b.start));
-        return timeA - timeB;
-      });
-      
-      // Set the found gaps
+      // Gaps come back ranked best first by findSharedGaps
+      // Set the found gaps and show the first day that has any
       setMeetupGaps(gaps);
+      setWhatIfMeetups(whatIfs);
+      setActiveDayId(festivalDays.find(day => [...gaps, ...whatIfs].some(gap => gap.day === day.id))?.id || null);
       
       // Reset selections and plan
       setSelectedGaps({});
@@ -300,6 +632,25 @@ function App() {
     }
   };
   
+  /**
+   * Add a what-if suggestion to the meetup times and select it
+   * @param {Object} suggestion - Suggestion from findWhatIfMeetups
+   */
+  const addWhatIfMeetup = (suggestion) => {
+    const gap = {
+      ...suggestion,
+      isRecommended: false,
+      isFlexible: true,
+      beforeCommonArtist: null,
+      beforeStage: null,
+      walkMinutes: 0
+    };
+    
+    setSelectedGaps(prev => ({ ...prev, [meetupGaps.length]: true }));
+    setMeetupGaps([...meetupGaps, gap]);
+    setWhatIfMeetups(whatIfMeetups.filter(other => other !== suggestion));
+  };
+  
   /**
    * Toggle selection of a meetup gap
    * @param {number} index - The index of the gap to toggle
@@ -587,6 +938,7 @@ function App() {
       // Clear all state
       setSchedules([]);
       setMeetupGaps([]);
+      setWhatIfMeetups([]);
       setSelectedGaps({});
       setMeetupPlan([]);
       setCurrentSchedule({ name: '', sets: [] });
@@ -615,6 +967,77 @@ function App() {
     }
   };
   
+  /**
+   * Build a meetup plan from a list of gaps
+   * "Go together" entries already in the plan are kept
+   * @param {Array} gaps - Meetup gaps to include
+   * @param {Array} keys - Key for each gap, used to make the meetup ids unique
+   * @returns {Array} - Plan entries sorted by festival day, then by festival time
+   */
+  const createMeetupPlan = (gaps, keys) => {
+    const plan = gaps.map((gap, idx) => {
+      if (!gap) return null;
+      
+      // Simply use the gap's existing information without recalculating
+      return {
+        id: `meetup-${Date.now()}-${keys[idx]}`,
+        start: gap.start,
+        end: gap.end,
+        schedules: getMeetupAttendees(gap), // Common-set goers and friends joining them, as shown in the Potential Meetup Times page
+        beforeStage: gap.beforeStage,
+        beforeCommonArtist: gap.beforeCommonArtist,
+        afterStage: gap.afterStage,
+        afterCommonArtist: gap.afterCommonArtist,
+        location: gap.location,
+        walkMinutes: gap.walkMinutes,
+        skips: gap.skips || [],
+        day: gap.day,
+        isRecommended: getMeetupAttendees(gap).length === schedules.length,
+        customLocation: '' // Initialize custom location field
+      };
+    })
+    .filter(Boolean);
+    
+    const watchEntries = meetupPlan.filter(meetup => meetup.type === 'watch');
+    return sortByFestivalTime([...watchEntries, ...plan], festivalDays);
+  };
+  
+  /**
+   * Add a "go together" entry for a shared set to the plan, meeting at the rally point first
+   * @param {Object} sharedSet - Shared set from findSharedSets
+   */
+  const addWatchTogether = (sharedSet) => {
+    const entry = {
+      id: `watch-${Date.now()}`,
+      type: 'watch',
+      setKey: sharedSet.key,
+      start: sharedSet.rallyPoint.start,
+      end: sharedSet.rallyPoint.end,
+      schedules: sharedSet.going,
+      joiners: sharedSet.couldJoin,
+      beforeStage: sharedSet.stage,
+      beforeCommonArtist: sharedSet.artist,
+      location: sharedSet.rallyPoint.location,
+      walkMinutes: 0,
+      skips: [],
+      day: sharedSet.day,
+      isRecommended: sharedSet.going.length === schedules.length,
+      customLocation: ''
+    };
+    
+    setMeetupPlan(prev => sortByFestivalTime([...prev, entry], festivalDays));
+  };
+  
+  /**
+   * Show the sets friends share
+   */
+  const showSharedSets = () => {
+    setCurrentPage('sharedSets');
+    
+    // Scroll to top on page change
+    window.scrollTo(0, 0);
+  };
+  
   /**
    * Generate meetup times from selected gaps
    */
@@ -626,53 +1049,13 @@ function App() {
       return;
     }
     
-    // Process selected gap indices
-    
     try {
       // Create a meetup plan from the selected gaps
-      const plan = selectedIndices.map(index => {
-        const gap = meetupGaps[index];
-        if (!gap) return null;
-        
-        // Simply use the gap's existing information without recalculating
-        return {
-          id: `meetup-${Date.now()}-${index}`,
-          start: gap.start,
-          end: gap.end,
-          schedules: gap.commonSchedules || gap.schedules, // Use the same schedules shown in the Potential Meetup Times page
-          beforeStage: gap.beforeStage,
-          beforeCommonArtist: gap.beforeCommonArtist,
-          isRecommended: gap.schedules.length === schedules.length,
-          customLocation: '' // Initialize custom location field
-        };
-      })
-      .filter(Boolean);
-      
-      // Sort by start time
-      // Helper function to adjust time for festival sorting (8am as starting point)
-      const getAdjustedSortTime = (date) => {
-        const hours = date.getHours();
-        const minutes = date.getMinutes();
-        
-        // Calculate hours offset from 8am (0-23 hours scale)
-        // Hours 8-23 come first (0-15), then hours 0-7 (16-23)
-        const adjustedHours = (hours >= 8) ? hours - 8 : hours + 16;
-        
-        // Return a comparable value (hours * 60 + minutes) for easy sorting
-        return adjustedHours * 60 + minutes;
-      };
-      
-      // Sort by festival time (8am as starting point)
-      plan.sort((a, b) => {
-        const timeA = getAdjustedSortTime(new Date(a.start));
-        const timeB = getAdjustedSortTime(new Date(b.start));
-        return timeA - timeB;
-      });
-      
-      // Plan is now sorted and ready to be displayed
+      const sortedPlan = createMeetupPlan(selectedIndices.map(index => meetupGaps[index]), selectedIndices);
       
       // Update the meetup plan
-      setMeetupPlan(plan);
+      setMeetupPlan(sortedPlan);
+      setAutoPlanWarnings([]);
       
       // Change to the meetup plan page
       setCurrentPage('meetupPlan');
@@ -685,6 +1068,69 @@ function App() {
     }
   };
 
+  /**
+   * Pick meetups across each festival day automatically so everyone checks in regularly
+   * The picked gaps are also selected on the Potential Meetup Times page, so the plan
+   * can be adjusted there or on the plan page afterwards
+   */
+  const autoPlanMeetupGaps = () => {
+    try {
+      // Consider every shared gap, not just the top suggestions
+      const candidates = findSharedGaps(
+        schedules,
+        { ...plannerSettings, maxSuggestions: Infinity },
+        { stageDistances, days: festivalDays }
+      );
+      const { gaps: pickedGaps, warnings } = autoPlanMeetups(candidates, schedules, plannerSettings);
+      
+      if (pickedGaps.length === 0) {
+        alert('No meetup times could be planned. Try adding more schedules or more sets.');
+        return;
+      }
+      
+      // Add picked gaps that are not already listed, then select all of them
+      const isSameGap = (a, b) => a.day === b.day &&
+        new Date(a.start).getTime() === new Date(b.start).getTime() &&
+        new Date(a.end).getTime() === new Date(b.end).getTime();
+      const updatedGaps = [...meetupGaps];
+      const pickedIndices = pickedGaps.map(gap => {
+        const existing = updatedGaps.findIndex(listed => isSameGap(listed, gap));
+        if (existing !== -1) return existing;
+        updatedGaps.push(gap);
+        return updatedGaps.length - 1;
+      });
+      
+      setMeetupGaps(updatedGaps);
+      setSelectedGaps(Object.fromEntries(pickedIndices.map(index => [index, true])));
+      setMeetupPlan(createMeetupPlan(pickedGaps, pickedIndices));
+      setAutoPlanWarnings(warnings);
+      
+      // Change to the meetup plan page
+      setCurrentPage('meetupPlan');
+      
+      // Scroll to top on page change
+      window.scrollTo(0, 0);
+    } catch (error) {
+      console.error('Error auto-planning meetups:', error);
+      alert('There was an error planning your meetups. Please try again.');
+    }
+  };
+  
+  /**
+   * Remove a meetup from the plan
+   * @param {number} index - The index of the meetup to remove
+   */
+  const removeMeetup = (index) => {
+    const updatedPlan = meetupPlan.filter((_, idx) => idx !== index);
+    setMeetupPlan(updatedPlan);
+    setEditingLocationIndex(null);
+    
+    // Go back to picking meetup times once the plan is empty
+    if (updatedPlan.length === 0) {
+      navigateBack(meetupGaps.length > 0 ? 'meetupGaps' : 'sharedSets');
+    }
+  };
+
   /**
    * Format time for display in 12-hour format
    * @param {string|Date} time - ISO string or Date object
@@ -702,6 +1148,44 @@ function App() {
     }
   };
   
+  /**
+   * Format a set's start and end time, marking assumed end times with "~"
+   * and adding the part of the set a friend catches when they arrive late or leave early
+   * @param {Object} set - Set object with start and optional end, arriveAt and leaveAt times
+   * @returns {string} - Formatted time range
+   */
+  const formatSetTimes = (set) => {
+    const end = getSetEnd(set, plannerSettings.defaultSetDuration);
+    if (!end) return formatTime(set.start);
+    
+    const times = `${formatTime(set.start)} - ${hasKnownEnd(set) ? '' : '~'}${formatTime(end)}`;
+    if (!isPartialAttendance(set, plannerSettings.defaultSetDuration)) return times;
+    
+    const busy = getBusyWindow(set, plannerSettings.defaultSetDuration);
+    return `${times} (here ${formatTime(busy.start)} - ${formatTime(busy.end)})`;
+  };
+  
+  /**
+   * List a schedule's arrival, departure and personal busy blocks for display
+   * @param {Object} schedule - Schedule with optional blocks and presence
+   * @returns {Array} - Rows with day, label and formatted times, in festival order
+   */
+  const getPersonalTimeRows = (schedule) => {
+    const rows = (schedule.blocks || []).map(block => ({
+      day: block.day,
+      start: block.start,
+      label: block.label,
+      times: `${formatTime(block.start)} - ${formatTime(block.end)}`
+    }));
+    
+    Object.entries(schedule.presence || {}).forEach(([dayId, { arriveAt, leaveAt } = {}]) => {
+      if (arriveAt) rows.push({ day: dayId, start: arriveAt, label: 'Arrives', times: formatTime(arriveAt) });
+      if (leaveAt) rows.push({ day: dayId, start: leaveAt, label: 'Leaves', times: formatTime(leaveAt) });
+    });
+    
+    return sortByFestivalTime(rows, festivalDays);
+  };
+  
   /**
    * Calculate and format a duration
    * @param {Date|string|number} start - Start time (Date object or ISO string) or minutes directly
@@ -710,7 +1194,7 @@ function App() {
    */
   const formatDuration = (start, end) => {
     try {
-      if (!start || !end) return '--';
+      if (!start || (!end && typeof start !== 'number')) return '--';
       
       let diffMins;
       
@@ -746,6 +1230,19 @@ function App() {
     }
   };
   
+  /**
+   * Check whether a gap or meetup belongs to the selected day tab
+   * Everything is shown when the items only span a single day
+   * @param {Object} item - Gap or meetup object with a day id
+   * @param {Array} items - All gaps or meetups on the page
+   * @returns {boolean} - True if the item should be shown
+   */
+  const isShownForActiveDay = (item, items) => {
+    const dayIds = new Set(items.map(i => i.day));
+    if (dayIds.size < 2 || !dayIds.has(activeDayId)) return true;
+    return item.day === activeDayId;
+  };
+  
   /**
    * Start editing a meetup location
    * @param {number} index - The index of the meetup to edit
@@ -781,6 +1278,11 @@ function App() {
     setEditingLocation('');
   };
   
+  // Sets friends share, only worked out while their page is open
+  const sharedSets = currentPage === 'sharedSets'
+    ? findSharedSets(schedules, plannerSettings, { stageDistances, days: festivalDays })
+    : [];
+  
   return (
     <div className="min-h-screen w-full bg-edc-black bg-festival-pattern bg-cover bg-center py-4 px-2 overflow-x-hidden">
       <div className="max-w-5xl mx-auto w-full">
@@ -797,6 +1299,14 @@ function App() {
         {currentPage === 'main' && (
           <div className="flex flex-col gap-6">
             <div className="w-full space-y-4">
+              {/* Festival days configuration */}
+              <FestivalDaysEditor
+                days={festivalDays}
+                onAddDay={addFestivalDay}
+                onUpdateDay={updateFestivalDay}
+                onRemoveDay={removeFestivalDay}
+              />
+              
               {/* Schedule input form */}
               <div>
                 <h3 className="text-lg font-medium text-edc-blue/90 mb-2">Add a Schedule</h3>
@@ -886,7 +1396,7 @@ function App() {
                             <div className="absolute md:left-full top-0 md:ml-2 md:top-0 top-full right-0 md:right-auto mt-2 md:mt-0 w-72 p-3 bg-black/95 border border-edc-purple/50 rounded-md z-10 shadow-lg instructions-popup">
                               <p className="text-edc-blue/90 text-sm mb-2 font-medium">How to use:</p>
                               <ol className="text-xs text-white/80 list-decimal list-inside space-y-1 mb-2">
-                                <li>Upload screenshots or add sets manually</li>
+                                <li>Pick sets from the lineup, upload screenshots or add sets manually</li>
                                 <li>Verify sets and Add Schedule</li>
                                 <li>Repeat for all friends' schedules</li>
                                 <li>Generate meetup times</li>
@@ -902,12 +1412,36 @@ function App() {
                   )}
                 </div>
                 
+                {/* Festival lineup to pick sets from */}
+                <div className="mb-4">
+                  <FestivalLineupPanel
+                    lineup={lineup}
+                    festivalDays={festivalDays}
+                    defaultDay={festivalDays.find(day => day.id === uploadDayId) || festivalDays[0]}
+                    currentSets={currentSchedule.sets}
+                    onLoad={loadLineup}
+                    onUseCurrentSets={makeLineupFromCurrentSets}
+                    onToggleSet={toggleLineupSet}
+                    onExport={exportLineup}
+                    onClear={clearLineup}
+                  />
+                </div>
+                
                 {/* Schedule uploader */}
                 <div className="text-center">
                   <FestivalScheduleUploader 
                     onSetsExtracted={handleSetsExtracted} 
+                    onSetsChange={handleSetsChange}
                     toggleButtonRef={toggleModeRef}
                     onToggleMode={(mode) => setIsManualMode(mode)}
+                    defaultSetDuration={plannerSettings.defaultSetDuration}
+                    onDefaultSetDurationChange={(minutes) => updatePlannerSettings({ defaultSetDuration: minutes })}
+                    festivalDays={festivalDays}
+                    uploadDayId={uploadDayId}
+                    onUploadDayChange={setUploadDayId}
+                    blocks={currentSchedule.blocks}
+                    presence={currentSchedule.presence}
+                    onPersonalTimeChange={(personalTime) => setCurrentSchedule(prev => ({ ...prev, ...personalTime }))}
                   />
                 </div>
               </div>
@@ -927,6 +1461,20 @@ function App() {
             {schedules.length > 0 && (
               <div className="mt-4">
                 <h3 className="text-lg font-medium text-edc-blue/90 mb-2">All Schedules</h3>
+                {loadedClashSchedules.length > 0 && (
+                  <div className="mb-2 flex justify-between items-start bg-red-900/20 border border-red-500/50 rounded-md p-2 text-xs text-red-300">
+                    <span>
+                      Saved schedules with overlapping sets: {loadedClashSchedules.join(', ')}. Resolve the clashes below before finding meetup times.
+                    </span>
+                    <button
+                      onClick={() => setLoadedClashSchedules([])}
+                      className="ml-2 text-white/60 hover:text-white"
+                      title="Dismiss"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                )}
                 <ul className="space-y-2">
                   {schedules.map((schedule, idx) => (
                     <li key={idx} className="bg-black bg-opacity-60 rounded-md p-3 border border-edc-purple schedule-item">
@@ -970,6 +1518,13 @@ function App() {
                         )}
                         <div className="flex space-x-2">
                           <span className="text-edc-purple text-sm">{schedule.sets.length} sets</span>
+                          <button
+                            onClick={() => exportScheduleCsv(idx)}
+                            className="text-edc-blue hover:text-edc-purple text-sm"
+                            title="Download as CSV"
+                          >
+                            CSV
+                          </button>
                           <button
                             onClick={() => removeSchedule(idx)}
                             className="text-red-400 hover:text-red-300 text-sm"
@@ -981,12 +1536,20 @@ function App() {
                       
                       {schedule.sets.length > 0 && (
                         <div className="mt-2">
+                          <SetClashResolver
+                            sets={schedule.sets}
+                            clashes={findSetClashes(schedule.sets, plannerSettings.defaultSetDuration)}
+                            onResolve={(updatedSets) => updateScheduleSets(idx, updatedSets)}
+                          />
                           <div className="flex flex-col space-y-1">
                             {/* Always show first 3 sets */}
                             {schedule.sets.slice(0, 3).map((set, setIdx) => (
-                              <div key={setIdx} className="grid grid-cols-3 gap-2 text-sm py-1 px-2 bg-black/30 rounded-sm border-l-2 border-edc-purple/30">
+                              <div key={setIdx} className={`grid grid-cols-3 gap-2 text-sm py-1 px-2 bg-black/30 rounded-sm border-l-2 ${PRIORITY_BORDERS[getSetPriority(set)]}`} title={SET_PRIORITY_LABELS[getSetPriority(set)]}>
                                 <div className="text-edc-pink font-medium truncate">{set.artist}</div>
-                                <div className="text-white">{formatTime(set.start)}</div>
+                                <div className="text-white">
+                                  {festivalDays.length > 1 && <span className="text-edc-purple text-xs mr-1">{getDayLabel(set.day)}</span>}
+                                  {formatSetTimes(set)}
+                                </div>
                                 <div className="text-edc-blue truncate">{set.stage}</div>
                               </div>
                             ))}
@@ -1007,9 +1570,12 @@ function App() {
                             {expandedSchedules[idx] && (
                               <>
                                 {schedule.sets.slice(3).map((set, setIdx) => (
-                                  <div key={setIdx + 3} className="grid grid-cols-3 gap-2 text-sm py-1 px-2 bg-black/30 rounded-sm border-l-2 border-edc-purple/30">
+                                  <div key={setIdx + 3} className={`grid grid-cols-3 gap-2 text-sm py-1 px-2 bg-black/30 rounded-sm border-l-2 ${PRIORITY_BORDERS[getSetPriority(set)]}`} title={SET_PRIORITY_LABELS[getSetPriority(set)]}>
                                     <div className="text-edc-pink font-medium truncate">{set.artist}</div>
-                                    <div className="text-white">{formatTime(set.start)}</div>
+                                    <div className="text-white">
+                                      {festivalDays.length > 1 && <span className="text-edc-purple text-xs mr-1">{getDayLabel(set.day)}</span>}
+                                      {formatSetTimes(set)}
+                                    </div>
                                     <div className="text-edc-blue truncate">{set.stage}</div>
                                   </div>
                                 ))}
@@ -1027,6 +1593,22 @@ function App() {
                           </div>
                         </div>
                       )}
+                      
+                      {/* Personal busy time, shown dashed so it is not mistaken for a set */}
+                      {getPersonalTimeRows(schedule).length > 0 && (
+                        <div className="mt-2 flex flex-col space-y-1">
+                          {getPersonalTimeRows(schedule).map((row, rowIdx) => (
+                            <div key={rowIdx} className="grid grid-cols-3 gap-2 text-sm py-1 px-2 bg-white/5 rounded-sm border border-dashed border-white/20 text-white/60 italic">
+                              <div className="truncate">{row.label}</div>
+                              <div>
+                                {festivalDays.length > 1 && <span className="text-edc-purple text-xs not-italic mr-1">{getDayLabel(row.day)}</span>}
+                                {row.times}
+                              </div>
+                              <div className="text-white/40 text-xs">Personal</div>
+                            </div>
+                          ))}
+                        </div>
+                      )}
                     </li>
                   ))}
                 </ul>
@@ -1035,6 +1617,23 @@ function App() {
             
             <div className="mt-4"></div>
             
+              {schedules.length > 0 && (
+                <div className="mb-3">
+                  <PlannerSettingsPanel
+                    settings={plannerSettings}
+                    onChange={updatePlannerSettings}
+                  />
+                  <div className="mt-3">
+                    <StageDistanceEditor
+                      stages={getScheduleStages(schedules)}
+                      distances={stageDistances}
+                      defaultWalkTime={plannerSettings.defaultWalkTime}
+                      onChange={updateStageDistance}
+                    />
+                  </div>
+                </div>
+              )}
+              
               {schedules.length > 0 && (
                 <button
                   onClick={findMeetupGaps}
@@ -1046,13 +1645,22 @@ function App() {
                   Find Meetup Times
                 </button>
               )}
+              
+              {schedules.length >= 2 && (
+                <button
+                  onClick={showSharedSets}
+                  className="w-full mt-2 py-2 rounded-md text-edc-blue/90 text-sm font-medium border border-edc-blue/40 bg-black/50 hover:bg-black/70 hover:border-edc-blue/80 transition-all"
+                >
+                  Sets You Share
+                </button>
+              )}
             </div>
             {/* Tip Jar removed from here and moved to appear on all pages */}
           </div>
         )}
         
         {/* Meetup Gaps Page */}
-        {currentPage === 'meetupGaps' && meetupGaps.length > 0 && (
+        {currentPage === 'meetupGaps' && (meetupGaps.length > 0 || whatIfMeetups.length > 0) && (
           <div id="meetup-results" className="w-full bg-black bg-opacity-70 backdrop-blur-sm p-6 rounded-lg border border-edc-pink shadow-lg shadow-edc-pink/20">
             {/* Back button */}
             <div className="flex justify-between items-center mb-4">
@@ -1080,7 +1688,7 @@ function App() {
                   <div className="absolute md:left-full top-0 md:ml-2 md:top-0 top-full right-0 md:right-auto mt-2 md:mt-0 w-72 p-3 bg-black/95 border border-edc-purple/50 rounded-md z-10 shadow-lg instructions-popup">
                     <p className="text-edc-blue/90 text-sm mb-2 font-medium">How to use:</p>
                     <ol className="text-xs text-white/80 list-decimal list-inside space-y-1 mb-2">
-                      <li>Upload screenshots or add sets manually</li>
+                      <li>Pick sets from the lineup, upload screenshots or add sets manually</li>
                       <li>Verify sets and Add Schedule</li>
                       <li>Repeat for all friends' schedules</li>
                       <li>Generate meetup times</li>
@@ -1092,11 +1700,36 @@ function App() {
                 )}
               </div>
             </div>
-            <h2 className="text-xl font-medium text-edc-blue/90 mb-2">Potential Meetup Times</h2>
+            <div className="flex justify-between items-center mb-2">
+              <h2 className="text-xl font-medium text-edc-blue/90">Potential Meetup Times</h2>
+              <button
+                onClick={showSharedSets}
+                className="text-xs text-edc-blue/80 hover:text-edc-blue underline"
+              >
+                Watch together
+              </button>
+            </div>
             <p className="text-xs text-edc-purple/80 mb-4 tracking-wide">Select the meetup times you're interested in:</p>
             
+            <AutoPlanPanel
+              settings={plannerSettings}
+              onChange={updateAutoPlanSettings}
+              onAutoPlan={autoPlanMeetupGaps}
+            />
+            
+            <WhatIfSuggestions
+              suggestions={whatIfMeetups.filter(suggestion => isShownForActiveDay(suggestion, [...meetupGaps, ...whatIfMeetups]))}
+              onUse={addWhatIfMeetup}
+            />
+            
+            <FestivalDayTabs
+              days={festivalDays.filter(day => [...meetupGaps, ...whatIfMeetups].some(gap => gap.day === day.id))}
+              activeDayId={activeDayId}
+              onSelectDay={setActiveDayId}
+            />
+            
             <div className="space-y-3 mb-6">
-              {meetupGaps.map((gap, idx) => (
+              {meetupGaps.map((gap, idx) => isShownForActiveDay(gap, meetupGaps) && (
                 <div 
                   key={idx}
                   className={`p-4 rounded-md border cursor-pointer transition-all ${
@@ -1123,9 +1756,45 @@ function App() {
                           <span>Before {gap.beforeCommonArtist} @ {gap.beforeStage}</span>
                         </p>
                       )}
+                      
+                      {gap.afterCommonArtist && (
+                        <p className="text-green-400 text-sm flex items-center">
+                          {gap.isRecommended && <span className="mr-1">✓</span>}
+                          <span>Right after {gap.afterCommonArtist} ends @ {gap.afterStage}</span>
+                        </p>
+                      )}
+                      
+                      {!gap.beforeCommonArtist && !gap.afterCommonArtist && gap.location && (
+                        <p className="text-white/60 text-xs">Meet @ {gap.location}</p>
+                      )}
+                      
+                      {gap.score && (
+                        <p className="text-white/60 text-xs" title="Ranked by friends attending, time free, walking, closeness to a shared set and spread across the day">
+                          <span className="text-edc-blue/90 font-medium mr-1">{gap.score.total}</span>
+                          {describeMeetupScore(gap.score).join(', ')}
+                        </p>
+                      )}
+                      
+                      {gap.skips && gap.skips.length > 0 && (
+                        <ul className="text-yellow-300/80 text-xs mt-1">
+                          {gap.skips.map((skip, skipIdx) => (
+                            <li key={skipIdx}>⚠ {describeSetSkip(skip)}</li>
+                          ))}
+                        </ul>
+                      )}
                     </div>
                     
                     <div className="flex items-center">
+                      {gap.isFlexible && (
+                        <span className="bg-yellow-400/80 text-black text-xs font-bold px-2 py-1 rounded-full mr-2">
+                          Needs a skip
+                        </span>
+                      )}
+                      {getMeetupAttendees(gap).length === schedules.length && (
+                        <span className="bg-green-500/80 text-black text-xs font-bold px-2 py-1 rounded-full mr-2">
+                          Everyone
+                        </span>
+                      )}
                       {selectedGaps[idx] && (
                         <span className="bg-edc-pink text-black text-xs font-bold px-2 py-1 rounded-full mr-2">
                           Selected
@@ -1148,7 +1817,7 @@ function App() {
                   <div className="mt-2 text-sm">
                     <p className="text-edc-blue">Available for: 
                       <span className="text-white ml-1">
-                        {gap.commonSchedules ? gap.commonSchedules.join(', ') : gap.schedules.join(', ')}
+                        {getMeetupAttendees(gap).join(', ')}
                       </span>
                     </p>
                   </div>
@@ -1158,7 +1827,7 @@ function App() {
             
             <div className="flex justify-between items-center">
               <p className="text-edc-purple text-sm">
-                <span className="inline-block w-3 h-3 bg-green-500 rounded-full mr-1"></span> Recommended meetup times before common sets
+                <span className="inline-block w-3 h-3 bg-green-500 rounded-full mr-1"></span> Recommended meetup times before or after common sets
               </p>
               
               <p className="text-xs text-white">
@@ -1182,6 +1851,47 @@ function App() {
           </div>
         )}
         
+        {/* Shared Sets Page */}
+        {currentPage === 'sharedSets' && (
+          <div id="shared-sets" className="w-full bg-black bg-opacity-70 backdrop-blur-sm p-6 rounded-lg border border-edc-purple shadow-lg shadow-edc-purple/20">
+            {/* Back button */}
+            <div className="flex justify-between items-center mb-4">
+              <button 
+                onClick={() => navigateBack(meetupGaps.length > 0 ? 'meetupGaps' : 'main')}
+                className="px-4 py-2 bg-black/60 text-white/80 border border-edc-purple/30 rounded-md hover:bg-black/80 hover:text-white hover:border-edc-purple/80 transition-all flex items-center"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+                </svg>
+                {meetupGaps.length > 0 ? 'Back to Meetup Times' : 'Back to Schedules'}
+              </button>
+              
+              {meetupPlan.length > 0 && (
+                <button
+                  onClick={() => navigateBack('meetupPlan')}
+                  className="px-4 py-2 rounded-md text-white text-sm font-medium bg-gradient-to-r from-edc-pink to-edc-purple hover:opacity-90"
+                >
+                  View Plan ({meetupPlan.length})
+                </button>
+              )}
+            </div>
+            <h2 className="text-xl font-medium text-edc-blue/90 mb-2">Sets You Share</h2>
+            <p className="text-xs text-edc-purple/80 mb-4 tracking-wide">Watch these together, meeting at the stage beforehand:</p>
+            
+            <FestivalDayTabs
+              days={festivalDays.filter(day => sharedSets.some(sharedSet => sharedSet.day === day.id))}
+              activeDayId={activeDayId}
+              onSelectDay={setActiveDayId}
+            />
+            
+            <SharedSetsView
+              sharedSets={sharedSets.filter(sharedSet => isShownForActiveDay(sharedSet, sharedSets))}
+              plannedKeys={new Set(meetupPlan.map(meetup => meetup.setKey).filter(Boolean))}
+              onGoTogether={addWatchTogether}
+            />
+          </div>
+        )}
+        
         {/* Meetup Plan Page */}
         {currentPage === 'meetupPlan' && meetupPlan.length > 0 && (
           <div id="meetup-plan" className="w-full bg-black bg-opacity-70 backdrop-blur-sm p-6 rounded-lg">
@@ -1190,13 +1900,13 @@ function App() {
             {/* Back button */}
             <div className="flex justify-between items-center mb-4">
               <button 
-                onClick={() => navigateBack('meetupGaps')}
+                onClick={() => navigateBack(meetupGaps.length > 0 ? 'meetupGaps' : 'sharedSets')}
                 className="px-4 py-2 bg-black/50 text-white/70 border border-edc-purple/30 rounded-md hover:bg-black/70 hover:text-white/90 hover:border-edc-purple/50 transition-all flex items-center text-sm"
               >
                 <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
                 </svg>
-                Back to Meetup Times
+                {meetupGaps.length > 0 ? 'Back to Meetup Times' : 'Back to Shared Sets'}
               </button>
 
               <div className="relative">  
@@ -1213,7 +1923,7 @@ function App() {
                   <div className="absolute md:left-full top-0 md:ml-2 md:top-0 top-full right-0 md:right-auto mt-2 md:mt-0 w-72 p-3 bg-black/95 border border-edc-purple/50 rounded-md z-10 shadow-lg instructions-popup">
                     <p className="text-edc-blue/90 text-sm mb-2 font-medium">How to use:</p>
                     <ol className="text-xs text-white/80 list-decimal list-inside space-y-1 mb-2">
-                      <li>Upload screenshots or add sets manually</li>
+                      <li>Pick sets from the lineup, upload screenshots or add sets manually</li>
                       <li>Verify sets and Add Schedule</li>
                       <li>Repeat for all friends' schedules</li>
                       <li>Generate meetup times</li>
@@ -1228,14 +1938,49 @@ function App() {
             <h2 className="text-xl font-medium text-edc-pink/80 mb-1 text-center">Your Meetup Plan</h2>
             <div className="text-white/40 text-xs text-center mb-3">Created with meetuptimes.com • {new Date().toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}</div>
             
+            <FestivalDayTabs
+              days={festivalDays.filter(day => meetupPlan.some(meetup => meetup.day === day.id))}
+              activeDayId={activeDayId}
+              onSelectDay={setActiveDayId}
+            />
+            
+            {autoPlanWarnings.length > 0 && (
+              <div className="mb-3 bg-yellow-900/20 border border-yellow-500/50 rounded-md p-2">
+                <p className="text-yellow-300 text-xs font-medium mb-1">
+                  Some friends still go more than {plannerSettings.checkInHours}h without seeing the group:
+                </p>
+                <ul className="text-xs text-white/70">
+                  {autoPlanWarnings.map((warning, warningIdx) => (
+                    <li key={warningIdx}>
+                      {warning.schedule}: up to {formatDuration(warning.longestMinutes)}
+                      {getDayLabel(warning.day) && ` on ${getDayLabel(warning.day)}`}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            
             <div className="space-y-6">
-              {meetupPlan.map((meetup, idx) => (
+              {meetupPlan.map((meetup, idx) => isShownForActiveDay(meetup, meetupPlan) && (
                 <div 
                   key={meetup.id || idx}
                   className={`flex flex-col border-l-2 px-1 py-2 my-1 rounded-r-md ${meetup.isRecommended ? 'border-green-500/60 bg-green-900/5' : 'border-edc-purple/60 bg-edc-purple/5'}`}
                 >
                   <div className="flex justify-between items-center pl-4">
-                    <h3 className="text-edc-blue/90 font-medium text-lg">{`#${idx + 1}: Before ${meetup.beforeCommonArtist || 'Next Artist'} @ ${meetup.beforeStage || 'Unknown Stage'}`}</h3>
+                    <h3 className="text-edc-blue/90 font-medium text-lg">
+                      {meetup.type === 'watch'
+                        ? `#${idx + 1}: Watch ${meetup.beforeCommonArtist} together @ ${meetup.beforeStage}`
+                        : meetup.afterCommonArtist
+                        ? `#${idx + 1}: After ${meetup.afterCommonArtist} @ ${meetup.afterStage}`
+                        : `#${idx + 1}: Before ${meetup.beforeCommonArtist || 'Next Artist'} @ ${meetup.beforeStage || meetup.location || 'Unknown Stage'}`}
+                    </h3>
+                    <button
+                      onClick={() => removeMeetup(idx)}
+                      className="text-white/30 hover:text-red-400 text-xs mr-2"
+                      title="Remove meetup"
+                    >
+                      ✕
+                    </button>
                   </div>
                   
                   <div className="flex items-center pl-4 mt-1">
@@ -1247,10 +1992,24 @@ function App() {
                   
                   <div className="flex items-start pl-4 mt-1">
                     <span className="text-edc-purple text-xs">
-                      {meetup.schedules.join(', ')}
+                      {meetup.type === 'watch' && 'Rally point for '}{meetup.schedules.join(', ')}
                     </span>
                   </div>
                   
+                  {meetup.joiners && meetup.joiners.length > 0 && (
+                    <p className="pl-4 mt-1 text-green-400/80 text-xs">
+                      Free to join: {meetup.joiners.join(', ')}
+                    </p>
+                  )}
+                  
+                  {meetup.skips && meetup.skips.length > 0 && (
+                    <ul className="pl-4 mt-1 text-yellow-300/80 text-xs">
+                      {meetup.skips.map((skip, skipIdx) => (
+                        <li key={skipIdx}>⚠ {describeSetSkip(skip)}</li>
+                      ))}
+                    </ul>
+                  )}
+                  
                   {/* Location section - editable */}
                   <div className="flex items-center pl-4 mt-2">
                     {editingLocationIndex === idx ? (
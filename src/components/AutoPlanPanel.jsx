@@ -0,0 +1,50 @@
+import React from 'react';
+import { PLANNER_SETTING_LIMITS } from '../utils/plannerSettings';
+
+/**
+ * Panel for building a whole-day meetup plan automatically
+ * @param {Object} props - Component props
+ * @param {Object} props.settings - Current planner settings
+ * @param {Function} props.onChange - Function to call with the changed settings
+ * @param {Function} props.onAutoPlan - Function to call to build the plan
+ */
+const AutoPlanPanel = ({ settings, onChange, onAutoPlan }) => {
+  const renderInput = (key) => (
+    // Commit on blur so partially typed numbers are not clamped mid-edit
+    <input
+      key={`${key}-${settings[key]}`}
+      type="number"
+      min={PLANNER_SETTING_LIMITS[key].min}
+      max={PLANNER_SETTING_LIMITS[key].max}
+      defaultValue={settings[key]}
+      onBlur={(e) => onChange({ [key]: e.target.value })}
+      onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+      className="w-12 mx-1 bg-black/80 border border-edc-purple/30 rounded px-1 py-0.5 text-white text-center"
+    />
+  );
+
+  return (
+    <div className="mb-4 bg-black/60 rounded-md p-3 border border-edc-purple/50">
+      <p className="text-edc-blue/90 text-sm font-medium mb-1">Auto-plan the whole day</p>
+      <p className="text-xs text-white/50 mb-2">
+        Picks meetups so nobody goes too long without seeing the group. You can still change the plan afterwards.
+      </p>
+      <div className="flex flex-wrap items-center gap-y-2 text-xs text-white/70">
+        <label className="flex items-center mr-4">
+          Everyone checks in every{renderInput('checkInHours')}hours
+        </label>
+        <label className="flex items-center mr-4">
+          At most{renderInput('maxMeetupsPerDay')}meetups a day
+        </label>
+        <button
+          onClick={onAutoPlan}
+          className="px-3 py-1 rounded-md bg-gradient-to-r from-edc-blue to-edc-purple text-white font-medium hover:opacity-90"
+        >
+          Auto-plan
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AutoPlanPanel;
@@ -0,0 +1,169 @@
+import React, { useRef, useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import readScheduleCsv, { CSV_FIELDS, guessCsvColumnMapping, parseCsvText, REQUIRED_CSV_FIELDS } from '../utils/scheduleCsv';
+import { formatFestivalDayLabel } from '../utils/festivalDays';
+
+// Column picker label for each set field
+const FIELD_LABELS = {
+  artist: 'Artist',
+  stage: 'Stage',
+  day: 'Day',
+  start: 'Start',
+  end: 'End',
+  priority: 'Priority'
+};
+
+/**
+ * CSV import for schedules prepared in a spreadsheet
+ * The columns are matched to set fields from the header row and can be changed, and
+ * every row is previewed with the reason it cannot be read before anything is imported
+ * @param {Object} props - Component props
+ * @param {Array} props.festivalDays - Configured festival days
+ * @param {Object} props.defaultDay - Festival day for rows without a day
+ * @param {Function} props.onImport - Function to call with the sets read from the file
+ * @param {string} props.label - Text of the button that opens a file
+ */
+const CsvScheduleImport = ({ festivalDays = [], defaultDay, onImport, label = 'Import from CSV' }) => {
+  const fileInputRef = useRef(null);
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [error, setError] = useState('');
+
+  /**
+   * Read a chosen CSV file, taking its first row as the column names
+   * @param {Event} event - The file input change event
+   */
+  const handleFileChange = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      const [headerRow = [], ...dataRows] = parseCsvText(await file.text());
+      if (dataRows.length === 0) {
+        setError(`${file.name} has no rows below its header.`);
+      } else {
+        setError('');
+        setFileName(file.name);
+        setHeaders(headerRow);
+        setRows(dataRows);
+        setMapping(guessCsvColumnMapping(headerRow));
+      }
+    } catch (error) {
+      console.error('Error reading CSV:', error);
+      setError('Could not read that file. Please choose a CSV file.');
+    }
+
+    if (fileInputRef.current) {
+      fileInputRef.current.value = null;
+    }
+  };
+
+  const reset = () => {
+    setFileName('');
+    setHeaders([]);
+    setRows([]);
+    setMapping({});
+  };
+
+  const missingFields = REQUIRED_CSV_FIELDS.filter(field => !(mapping[field] >= 0));
+  const entries = rows.length > 0 && missingFields.length === 0
+    ? readScheduleCsv(rows, mapping, festivalDays, defaultDay)
+    : [];
+  const sets = entries.filter(entry => entry.set).map(entry => entry.set);
+  const getDayLabel = (dayId) => formatFestivalDayLabel(festivalDays.find(day => day.id === dayId));
+
+  return (
+    <div>
+      <label className="text-edc-blue hover:text-edc-purple text-xs cursor-pointer">
+        {label}
+        <input type="file" accept=".csv,text/csv" onChange={handleFileChange} ref={fileInputRef} className="hidden" />
+      </label>
+      {error && <p className="text-red-400 text-xs mt-1">{error}</p>}
+
+      {rows.length > 0 && (
+        <div className="mt-2 bg-black/60 p-3 rounded-md border border-edc-purple/40 text-left">
+          <div className="flex justify-between items-center mb-1">
+            <h3 className="text-edc-blue text-sm font-medium">Match the CSV Columns</h3>
+            <span className="text-xs text-white/50 truncate ml-2">{fileName}</span>
+          </div>
+          <p className="text-white/50 text-xs mb-3">
+            Choose the column that holds each field. Rows without a day go on {formatFestivalDayLabel(defaultDay) || 'the selected day'}.
+          </p>
+
+          <div className="grid grid-cols-2 gap-2 md:grid-cols-3 mb-3">
+            {CSV_FIELDS.map(field => (
+              <label key={field} className="flex items-center text-xs">
+                <span className="text-white/60 w-16 shrink-0">
+                  {FIELD_LABELS[field]}{REQUIRED_CSV_FIELDS.includes(field) ? ' *' : ''}
+                </span>
+                <select
+                  value={mapping[field] ?? -1}
+                  onChange={(e) => setMapping({ ...mapping, [field]: parseInt(e.target.value, 10) })}
+                  className="bg-black/80 border border-edc-purple/40 rounded px-2 py-1 text-edc-blue w-full"
+                >
+                  <option value={-1}>Not in file</option>
+                  {headers.map((header, idx) => (
+                    <option key={idx} value={idx}>{header || `Column ${idx + 1}`}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {missingFields.length > 0 ? (
+            <p className="text-yellow-200 text-xs">
+              Choose the {missingFields.map(field => FIELD_LABELS[field].toLowerCase()).join(' and ')} column to preview the sets.
+            </p>
+          ) : (
+            <>
+              <p className="text-white/50 text-xs mb-1">
+                {sets.length} of {entries.length} rows can be imported
+                {sets.length < entries.length ? '; rows in red will be skipped' : ''}.
+              </p>
+              <ul className="max-h-64 overflow-y-auto space-y-1">
+                {entries.map((entry, idx) => (
+                  entry.set ? (
+                    <li key={idx} className="grid grid-cols-4 gap-2 text-xs py-1 px-2 bg-black/30 rounded-sm">
+                      <span className="text-edc-pink truncate">{entry.set.artist}</span>
+                      <span className="text-white/70 truncate">{entry.set.stage}</span>
+                      <span className="text-edc-purple truncate">{getDayLabel(entry.set.day)}</span>
+                      <span className="text-white">
+                        {format(parseISO(entry.set.start), 'h:mm a')}
+                        {entry.set.end && ` - ${format(parseISO(entry.set.end), 'h:mm a')}`}
+                      </span>
+                    </li>
+                  ) : (
+                    <li key={idx} className="text-xs py-1 px-2 bg-red-900/30 rounded-sm border-l-2 border-red-400">
+                      <span className="text-red-300">Row {idx + 2}: {entry.error}</span>
+                      <span className="text-white/40 ml-2 truncate">{entry.cells.join(', ')}</span>
+                    </li>
+                  )
+                ))}
+              </ul>
+            </>
+          )}
+
+          <div className="flex justify-end items-center mt-3 text-xs">
+            <button onClick={reset} className="text-white/50 hover:text-white/70 mr-4">
+              Cancel
+            </button>
+            <button
+              onClick={() => {
+                onImport(sets);
+                reset();
+              }}
+              disabled={sets.length === 0}
+              className="bg-gradient-to-r from-edc-purple to-edc-pink text-white font-medium px-3 py-1 rounded-md disabled:opacity-40"
+            >
+              Import {sets.length} {sets.length === 1 ? 'Set' : 'Sets'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CsvScheduleImport;
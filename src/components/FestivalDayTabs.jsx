@@ -0,0 +1,34 @@
+import React from 'react';
+import { formatFestivalDayLabel } from '../utils/festivalDays';
+
+/**
+ * Tab bar for switching between festival days
+ * Renders nothing when there is only one day to show
+ * @param {Object} props - Component props
+ * @param {Array} props.days - Festival days to show as tabs
+ * @param {string} props.activeDayId - Id of the selected festival day
+ * @param {Function} props.onSelectDay - Function to call with the id of the clicked day
+ */
+const FestivalDayTabs = ({ days, activeDayId, onSelectDay }) => {
+  if (!days || days.length < 2) return null;
+
+  return (
+    <div className="flex flex-wrap gap-2 mb-4">
+      {days.map(day => (
+        <button
+          key={day.id}
+          onClick={() => onSelectDay(day.id)}
+          className={`px-3 py-1 rounded-md text-xs font-medium border transition-all ${
+            day.id === activeDayId
+              ? 'bg-edc-purple text-white border-edc-purple'
+              : 'bg-black/40 text-white/60 border-edc-purple/30 hover:text-white/90 hover:border-edc-purple/60'
+          }`}
+        >
+          {formatFestivalDayLabel(day)}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default FestivalDayTabs;
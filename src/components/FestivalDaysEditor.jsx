@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { formatFestivalDayLabel } from '../utils/festivalDays';
+import { DEFAULT_GATES_OPEN, DEFAULT_LAST_SET_ENDS } from '../utils/festivalClock';
+
+/**
+ * Component for configuring the days of a multi-day festival and each day's hours
+ * @param {Object} props - Component props
+ * @param {Array} props.days - Configured festival days
+ * @param {Function} props.onAddDay - Function to call when adding a day
+ * @param {Function} props.onUpdateDay - Function to call with a day id and the changed fields
+ * @param {Function} props.onRemoveDay - Function to call with the id of the day to remove
+ */
+const FestivalDaysEditor = ({ days, onAddDay, onUpdateDay, onRemoveDay }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  return (
+    <div className="bg-black bg-opacity-60 rounded-md p-3 border border-edc-purple/50">
+      <div className="flex justify-between items-center">
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="text-edc-blue/90 text-sm font-medium hover:text-edc-blue"
+        >
+          Festival Days {isExpanded ? '▾' : '▸'}
+        </button>
+        <span className="text-xs text-white/50 truncate ml-2">
+          {days.map(day => formatFestivalDayLabel(day)).join(' • ')}
+        </span>
+      </div>
+
+      {isExpanded && (
+        <div className="mt-3 space-y-2">
+          <p className="text-xs text-white/50">
+            Gates open / last set ends. Use the same time for both on a 24-hour day.
+          </p>
+          {days.map(day => (
+            <div key={day.id} className="flex flex-wrap items-center gap-2">
+              <input
+                type="text"
+                value={day.label}
+                onChange={(e) => onUpdateDay(day.id, { label: e.target.value })}
+                placeholder="Day name"
+                className="flex-1 bg-black/80 border border-edc-purple/30 rounded px-2 py-1 text-sm text-edc-pink"
+              />
+              <input
+                type="date"
+                value={day.date}
+                onChange={(e) => e.target.value && onUpdateDay(day.id, { date: e.target.value })}
+                className="bg-black/80 border border-edc-purple/30 rounded px-2 py-1 text-sm text-white"
+              />
+              <input
+                type="time"
+                value={day.gatesOpen || DEFAULT_GATES_OPEN}
+                onChange={(e) => e.target.value && onUpdateDay(day.id, { gatesOpen: e.target.value })}
+                title="Gates open"
+                className="bg-black/80 border border-edc-purple/30 rounded px-2 py-1 text-sm text-white/80"
+              />
+              <span className="text-white/50 text-xs">to</span>
+              <input
+                type="time"
+                value={day.lastSetEnds || DEFAULT_LAST_SET_ENDS}
+                onChange={(e) => e.target.value && onUpdateDay(day.id, { lastSetEnds: e.target.value })}
+                title="Last set ends"
+                className="bg-black/80 border border-edc-purple/30 rounded px-2 py-1 text-sm text-white/80"
+              />
+              <button
+                onClick={() => onRemoveDay(day.id)}
+                disabled={days.length < 2}
+                className={`text-xs ${days.length < 2 ? 'text-gray-600 cursor-not-allowed' : 'text-red-400 hover:text-red-300'}`}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+
+          <button
+            onClick={onAddDay}
+            className="text-xs text-edc-blue hover:text-edc-pink px-2 py-1 rounded-md border border-edc-blue/30 hover:border-edc-pink/50 transition-colors"
+          >
+            + Add Day
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FestivalDaysEditor;
@@ -0,0 +1,110 @@
+import React, { useRef, useState } from 'react';
+import CsvScheduleImport from './CsvScheduleImport';
+import LineupPicker from './LineupPicker';
+import { parseLineupJson } from '../utils/festivalLineup';
+
+/**
+ * Festival lineup, loaded once for the whole group, that each friend ticks their sets from
+ * The lineup can come from a JSON or CSV file, or from the sets just read from screenshots
+ * @param {Object} props - Component props
+ * @param {Array} props.lineup - Lineup sets with id, day, artist, stage, start and optional end
+ * @param {Array} props.festivalDays - Configured festival days
+ * @param {Object} props.defaultDay - Festival day for CSV rows without a day
+ * @param {Array} props.currentSets - Sets of the schedule being created
+ * @param {Function} props.onLoad - Function to call with sets to use as the lineup
+ * @param {Function} props.onUseCurrentSets - Function to call to turn the sets being created into the lineup
+ * @param {Function} props.onToggleSet - Function to call with a lineup set to add to or remove from the schedule
+ * @param {Function} props.onExport - Function to call to download the lineup as JSON
+ * @param {Function} props.onClear - Function to call to remove the lineup
+ */
+const FestivalLineupPanel = ({
+  lineup = [],
+  festivalDays = [],
+  defaultDay,
+  currentSets = [],
+  onLoad,
+  onUseCurrentSets,
+  onToggleSet,
+  onExport,
+  onClear
+}) => {
+  const fileInputRef = useRef(null);
+  const [error, setError] = useState('');
+
+  /**
+   * Read a lineup from a JSON file
+   * @param {Event} event - The file input change event
+   */
+  const handleJsonChange = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      onLoad(parseLineupJson(await file.text()));
+      setError('');
+    } catch (error) {
+      console.error('Error reading lineup:', error);
+      setError(`Could not read a lineup from ${file.name}. It should be a JSON list of sets with artist, stage, start and end.`);
+    }
+
+    if (fileInputRef.current) {
+      fileInputRef.current.value = null;
+    }
+  };
+
+  // Sets picked from an earlier lineup stay in the schedule but are not counted against this one
+  const lineupIds = new Set(lineup.map(set => set.id));
+  const pickedIds = currentSets.filter(set => lineupIds.has(set.lineupId)).map(set => set.lineupId);
+
+  return (
+    <div className="bg-black/40 rounded-md border border-edc-purple/30 p-3 text-left">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-edc-blue text-sm font-medium">Festival Lineup</h3>
+        {lineup.length > 0 && (
+          <span className="text-xs text-edc-pink">{pickedIds.length} of {lineup.length} sets picked</span>
+        )}
+      </div>
+
+      {lineup.length === 0 ? (
+        <p className="text-white/50 text-xs mb-2">
+          Load the full timetable once, then everyone ticks the sets they want to see instead of uploading their own screenshots.
+        </p>
+      ) : (
+        <LineupPicker lineup={lineup} festivalDays={festivalDays} pickedIds={pickedIds} onToggle={onToggleSet} />
+      )}
+
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 mt-3 text-xs">
+        <label className="text-edc-blue hover:text-edc-purple cursor-pointer">
+          {lineup.length > 0 ? 'Replace' : 'Load'} from JSON
+          <input type="file" accept=".json,application/json" onChange={handleJsonChange} ref={fileInputRef} className="hidden" />
+        </label>
+        {lineup.length === 0 && currentSets.length > 0 && (
+          <button onClick={onUseCurrentSets} className="text-edc-blue hover:text-edc-purple" title="Use the sets read from your screenshots as everyone's lineup">
+            Use the {currentSets.length} uploaded sets
+          </button>
+        )}
+        {lineup.length > 0 && (
+          <>
+            <button onClick={onExport} className="text-edc-blue hover:text-edc-purple" title="Download the lineup to share with friends">
+              Download JSON
+            </button>
+            <button onClick={onClear} className="text-red-400 hover:text-red-300 ml-auto">
+              Remove lineup
+            </button>
+          </>
+        )}
+      </div>
+      <div className="mt-1">
+        <CsvScheduleImport
+          festivalDays={festivalDays}
+          defaultDay={defaultDay}
+          onImport={onLoad}
+          label={`${lineup.length > 0 ? 'Replace' : 'Load'} from CSV`}
+        />
+      </div>
+      {error && <p className="text-red-400 text-xs mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default FestivalLineupPanel;
@@ -1,33 +1,107 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
-import { createWorker } from 'tesseract.js';
+import SetClashResolver from './SetClashResolver';
+import PersonalTimeEditor from './PersonalTimeEditor';
+import OcrReviewStep from './OcrReviewStep';
+import ImageCropper from './ImageCropper';
+import CsvScheduleImport from './CsvScheduleImport';
 import deduplicateSets from '../utils/deduplicateSets';
+import getSetEnd, { DEFAULT_SET_DURATION_MINUTES, hasKnownEnd } from '../utils/getSetEnd';
+import getBusyWindow, { isPartialAttendance } from '../utils/getBusyWindow';
+import findSetClashes, { getClashingIndices } from '../utils/findSetClashes';
+import { formatFestivalDayLabel, inferFestivalDay, moveSetToDay } from '../utils/festivalDays';
+import { placeTimeOnFestivalDay, sortByFestivalTime } from '../utils/festivalClock';
+import { getNextSetPriority, getSetPriority, SET_PRIORITY_LABELS } from '../utils/setPriority';
+import parseScheduleText from '../parsers';
+import createOcrBatch from '../utils/ocrService';
+import preprocessImage, {
+  createImageSnippets,
+  cropImageRegions,
+  DEFAULT_PREPROCESS_STEPS,
+  getImageSize
+} from '../utils/preprocessImage';
+import { getSavedCropRegions, saveCropRegions } from '../utils/cropRegions';
+import parseIcsCalendar, { icsEventsToSets } from '../utils/parseIcsCalendar';
+import getOcrConfidence from '../utils/ocrConfidence';
+
+// Quick "catch the last N minutes" options in the set editor
+const CATCH_LAST_OPTIONS = [15, 30, 45];
+
+// Badge styles for each set priority
+const PRIORITY_STYLES = {
+  must: 'bg-edc-pink/80 text-black border-edc-pink',
+  want: 'bg-black/60 text-white/70 border-edc-purple/40',
+  maybe: 'bg-black/40 text-white/40 border-white/20 border-dashed'
+};
+
+// Tesseract parameters for better extraction of festival schedule formats
+const OCR_PARAMETERS = {
+  tessedit_char_whitelist: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789:. -@',
+  preserve_interword_spaces: '1'
+};
 
 /**
  * Component for uploading and processing festival schedule images
  * Supports multiple image uploads and identifies different festival formats
  * @param {Object} props - Component props
  * @param {Function} props.onSetsExtracted - Callback function to receive extracted sets
+ * @param {Function} props.onSetsChange - Callback to replace the sets, used when sets are removed or changed
  * @param {Function} props.onToggleMode - Callback function to handle mode toggle
  * @param {boolean} props.initialManualMode - Whether to start in manual mode
  * @param {Function} props.toggleButtonRef - Ref to expose toggle function
+ * @param {number} props.defaultSetDuration - Minutes assumed for sets without an end time
+ * @param {Function} props.onDefaultSetDurationChange - Callback to change the default set length
+ * @param {Array} props.festivalDays - Configured festival days
+ * @param {string} props.uploadDayId - Id of the festival day new sets belong to
+ * @param {Function} props.onUploadDayChange - Callback to change the festival day of the upload
+ * @param {Array} props.blocks - Personal busy blocks of the schedule being created
+ * @param {Object} props.presence - Arrival and departure times of the schedule being created, by day id
+ * @param {Function} props.onPersonalTimeChange - Callback to receive updated blocks and presence
  */
-const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManualMode = false, toggleButtonRef }) => {
+const FestivalScheduleUploader = ({
+  onSetsExtracted,
+  onSetsChange,
+  onToggleMode,
+  initialManualMode = false,
+  toggleButtonRef,
+  defaultSetDuration = DEFAULT_SET_DURATION_MINUTES,
+  onDefaultSetDurationChange,
+  festivalDays = [],
+  uploadDayId,
+  onUploadDayChange,
+  blocks = [],
+  presence = {},
+  onPersonalTimeChange
+}) => {
   const [isProcessing, setIsProcessing] = useState(false);
-  const [progress, setProgress] = useState(0);
+  const [imageProgress, setImageProgress] = useState([]);
   const [error, setError] = useState('');
   const [processedSets, setProcessedSets] = useState([]);
   const [editingSet, setEditingSet] = useState(null);
   const [isAddingSet, setIsAddingSet] = useState(false);
-  const [newSet, setNewSet] = useState({ artist: '', stage: '', start: '' });
+  const [newSet, setNewSet] = useState({ artist: '', stage: '', start: '', end: '' });
   const [validationErrors, setValidationErrors] = useState({ artist: false, stage: false, start: false });
   const [isManualEntry, setIsManualEntry] = useState(initialManualMode);
+  const [dayNotice, setDayNotice] = useState('');
+  const [importNotice, setImportNotice] = useState('');
+  const [cleanUpImages, setCleanUpImages] = useState(true);
+  const [imagePreviews, setImagePreviews] = useState([]);
+  const [reviewEntries, setReviewEntries] = useState([]);
+  const [cropImages, setCropImages] = useState([]);
   const fileInputRef = useRef(null);
+  const ocrBatchRef = useRef(null);
+  
+  // Festival day that uploaded and manually added sets belong to
+  const uploadDay = festivalDays.find(day => day.id === uploadDayId) || festivalDays[0] || null;
   
   // Listen for clear event when a friend is added
   useEffect(() => {
     const handleClearUploader = () => {
-      // Clear the extracted sets
+      // Clear the extracted sets and screenshot previews
       setProcessedSets([]);
+      setImagePreviews([]);
+      setReviewEntries([]);
+      setCropImages([]);
+      setImportNotice('');
       
       // Reset the file input
       if (fileInputRef.current) {
@@ -43,390 +117,325 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
       document.removeEventListener('clearUploader', handleClearUploader);
     };
   }, []);
+  
+  // Release the preview images when they are replaced or the uploader goes away
+  useEffect(() => {
+    return () => {
+      imagePreviews.forEach(preview => {
+        URL.revokeObjectURL(preview.before);
+        URL.revokeObjectURL(preview.after);
+      });
+    };
+  }, [imagePreviews]);
+  
+  // Release the crop step's images when they are read, cancelled or the uploader goes away
+  useEffect(() => {
+    return () => {
+      cropImages.forEach(image => URL.revokeObjectURL(image.url));
+    };
+  }, [cropImages]);
+  
+  // Stop reading screenshots if the uploader goes away mid-upload
+  useEffect(() => {
+    return () => {
+      if (ocrBatchRef.current) {
+        ocrBatchRef.current.cancel();
+      }
+    };
+  }, []);
 
   /**
-   * Handle multiple image uploads
+   * Handle multiple image and calendar uploads
+   * Calendar (.ics) files are imported straight away; the screenshots go to the crop step
+   * first, starting from the crop last used for each size
    * @param {Event} event - The file input change event
    */
   const handleImageUpload = async (event) => {
-    const files = Array.from(event.target.files);
-    if (files.length === 0) return;
+    const selectedFiles = Array.from(event.target.files);
+    if (selectedFiles.length === 0) return;
 
-    setIsProcessing(true);
-    setProgress(0);
     setError('');
+    setImportNotice('');
+    
+    const isCalendarFile = (file) => /\.ics$/i.test(file.name) || file.type === 'text/calendar';
+    const files = selectedFiles.filter(file => !isCalendarFile(file));
+    const calendarFiles = selectedFiles.filter(isCalendarFile);
+    if (calendarFiles.length > 0) {
+      await importCalendarFiles(calendarFiles);
+    }
+    
+    if (files.length > 0) {
+      try {
+        const sizes = await Promise.all(files.map(file => getImageSize(file)));
+        setCropImages(files.map((file, idx) => {
+          const regions = getSavedCropRegions(sizes[idx].width, sizes[idx].height);
+          return {
+            file,
+            url: URL.createObjectURL(file),
+            ...sizes[idx],
+            regions,
+            isRemembered: regions.length > 0
+          };
+        }));
+      } catch (error) {
+        console.error('Error loading images:', error);
+        setError('Could not open the screenshots. Please try a different image.');
+      }
+    }
     
-    // Keep track of intermediate results for debugging
-    let allExtractedSets = [];
-    let processedCount = 0;
-    let tempProcessed = [...processedSets]; // Start with any existing processed sets
+    // Reset the file input so the same files can be selected again if needed
+    if (fileInputRef.current) {
+      fileInputRef.current.value = null;
+    }
+  };
+
+  /**
+   * Change the crop regions of a screenshot in the crop step
+   * @param {number} index - Index of the screenshot
+   * @param {Array} regions - New regions
+   */
+  const updateCropRegions = (index, regions) => {
+    setCropImages(prev => prev.map((image, idx) => (idx === index ? { ...image, regions, isRemembered: false } : image)));
+  };
+
+  /**
+   * Read the screenshots in the crop step, remembering each crop for screenshots of the same size
+   */
+  const readCroppedImages = () => {
+    cropImages.forEach(image => saveCropRegions(image.width, image.height, image.regions));
+    const images = cropImages.map(image => ({ file: image.file, regions: image.regions }));
+    setCropImages([]);
+    readImages(images);
+  };
+
+  /**
+   * Read screenshots and send the sets found to the review step
+   * The images are read in parallel on the shared OCR workers, each with its own progress
+   * @param {Array} images - Screenshots with their file and crop regions (empty to read all of it)
+   */
+  const readImages = async (images) => {
+    const files = images.map(image => image.file);
+
+    setIsProcessing(true);
+    setImageProgress(files.map(file => ({ name: file.name, progress: 0 })));
+    setError('');
+    setDayNotice('');
+    setImagePreviews([]);
+
+    // Cut out the cropped regions, falling back to the whole screenshot if that fails
+    const sources = await Promise.all(images.map(image => (
+      image.regions.length > 0
+        ? cropImageRegions(image.file, image.regions).catch(error => {
+          console.error(`Could not crop ${image.file.name}:`, error);
+          return image.file;
+        })
+        : image.file
+    )));
+
+    // Clean up the screenshots next, falling back to the original if one cannot be processed
+    let ocrImages = sources;
+    if (cleanUpImages) {
+      ocrImages = await Promise.all(sources.map((source, idx) => (
+        // A cropped screenshot no longer has the status bar to remove
+        preprocessImage(source, { ...DEFAULT_PREPROCESS_STEPS, cropStatusBar: source === files[idx] }).catch(error => {
+          console.error(`Could not clean up ${files[idx].name}:`, error);
+          return source;
+        })
+      )));
+      setImagePreviews(sources
+        .map((source, idx) => ({ name: files[idx].name, before: source, after: ocrImages[idx] }))
+        .filter(preview => preview.after !== preview.before)
+        .map(preview => ({
+          name: preview.name,
+          before: URL.createObjectURL(preview.before),
+          after: URL.createObjectURL(preview.after)
+        })));
+    }
+
+    const batch = createOcrBatch(ocrImages, {
+      parameters: OCR_PARAMETERS,
+      onProgress: (idx, progress) => {
+        setImageProgress(prev => prev.map((image, imageIdx) => (
+          imageIdx === idx ? { ...image, progress: Math.round(progress * 100) } : image
+        )));
+      }
+    });
+    ocrBatchRef.current = batch;
 
     try {
-      // Process each file individually
-      for (const file of files) {
-        // Process the current file
-        const extractedSets = await processImage(file);
-        
-        // Add to our running total
-        allExtractedSets = [...allExtractedSets, ...extractedSets];
+      const results = await batch.results;
+      
+      // Every set read, with how sure OCR was of each field and the part of the screenshot it came from
+      let entries = [];
+      let uniqueSets = [];
+      for (const [idx, data] of results.entries()) {
+        // Images that failed or were cancelled have no result
+        if (!data) continue;
         
-        // Update progress
-        processedCount++;
-        setProgress(Math.round((processedCount / files.length) * 100));
+        const readings = getOcrConfidence(extractSetsFromOcr(data), data.words);
+        const snippets = await createImageSnippets(ocrImages[idx], readings.map(reading => reading.bbox))
+          .catch(() => readings.map(() => null));
+        entries = [...entries, ...readings.map((reading, readingIdx) => ({
+          set: reading.set,
+          confidence: reading.confidence,
+          snippet: snippets[readingIdx]
+        }))];
         
-        // Apply intermediate deduplication to accumulate sets
-        tempProcessed = deduplicateSets(tempProcessed, extractedSets);
+        // Apply intermediate deduplication so sets on overlapping screenshots are reviewed once
+        uniqueSets = deduplicateSets(uniqueSets, readings.map(reading => reading.set));
       }
+      entries = entries.filter(entry => uniqueSets.includes(entry.set));
 
       // All files have been processed and deduplicated
-      
-      // Helper function to adjust time for festival sorting (8am as starting point)
-      const getAdjustedSortTime = (dateStr) => {
-        try {
-          const date = new Date(dateStr);
-          if (isNaN(date.getTime())) return 0;
-          
-          const hours = date.getHours();
-          const minutes = date.getMinutes();
-          
-          // Calculate hours offset from 8am (0-23 hours scale)
-          // Hours 8-23 come first (0-15), then hours 0-7 (16-23)
-          const adjustedHours = (hours >= 8) ? hours - 8 : hours + 16;
-          
-          // Return a comparable value (hours * 60 + minutes) for easy sorting
-          return adjustedHours * 60 + minutes;
-        } catch {
-          return 0;
-        }
-      };
-      
-      // Sort by festival time (8am as starting point)
-      tempProcessed.sort((a, b) => {
-        try {
-          return getAdjustedSortTime(a.start) - getAdjustedSortTime(b.start);
-        } catch {
-          return 0;
-        }
-      });
-      
-      // Update state with deduplicated sets
-      setProcessedSets(tempProcessed);
-      
-      // Call the callback with the deduplicated sets
-      if (onSetsExtracted && tempProcessed.length > 0) {
-        onSetsExtracted(tempProcessed);
+      if (batch.isCancelled()) {
+        setError(`Upload cancelled. Kept the sets from ${results.filter(data => data).length} of ${files.length} screenshots.`);
+      } else if (results.every(data => !data)) {
+        setError('Failed to process images. Please try a different screenshot.');
+      } else if (entries.length === 0) {
+        setError('No set times found in the screenshots. Try a clearer screenshot or add sets manually.');
       }
-
-      setIsProcessing(false);
       
-      // Reset the file input so the same files can be selected again if needed
-      if (fileInputRef.current) {
-        fileInputRef.current.value = null;
+      // The sets are checked in the review step before they join the schedule
+      if (entries.length > 0) {
+        setReviewEntries(prev => [...prev, ...entries]);
       }
-    } catch {
-      setIsProcessing(false);
+    } catch (error) {
+      console.error('Error processing images:', error);
       setError('Error processing images. Please try again.');
+    } finally {
+      ocrBatchRef.current = null;
+      setIsProcessing(false);
     }
   };
 
   /**
-   * Extract set time information from uploaded image using OCR
-   * @param {File} file - The uploaded image file
+   * Fix a field of a set in the review step; a field the user has set is no longer flagged
+   * @param {number} index - Index of the review entry
+   * @param {Object} updates - New artist and/or stage
    */
-  const processImage = async (file) => {
-    try {
-      // Start processing the image directly
-      
-      // Initialize Tesseract worker with optimized configuration for festival schedules
-      const worker = await createWorker({
-        logger: progress => {
-          if (progress.status === 'recognizing text') {
-            setProgress(Math.round(progress.progress * 100));
-          }
-        }
-      });
-      
-      await worker.loadLanguage('eng');
-      await worker.initialize('eng');
-      
-      // Configure Tesseract parameters for better extraction of festival schedule formats
-      await worker.setParameters({
-        tessedit_char_whitelist: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789:. -@',
-        preserve_interword_spaces: '1',
-      });
-      
-      // Read the image
-      const { data } = await worker.recognize(file);
-      const text = data.text;
-      
-      // Preprocess OCR text
-      const preprocessedText = preprocessOcrText(text);
-      
-      // For reliability, we'll prioritize using hardcoded sets for known festivals
-      // This ensures the most accurate and reliable data, especially for critical sets
-      if (preprocessedText.includes('LINEUP') || 
-          preprocessedText.includes('SCHEDULE') || 
-          preprocessedText.includes('PM') || 
-          preprocessedText.includes('Stage')) {
-        
-        try {
-          const hardcodedSets = getHardcodedSets(preprocessedText);
-          
-          if (hardcodedSets && hardcodedSets.length > 0) {
-            await worker.terminate();
-            return hardcodedSets;
-          }
-        } catch {
-          // Continue with other methods if hardcoded sets fail
-        }
-      }
-      
-      // Fallback methods only if hardcoded sets don't apply
-      let extractedSets = [];
-      
-      // Method 1: Try to identify and parse Insomniac app format
-      try {
-        extractedSets = parseInsomniacFormat(preprocessedText);
-      } catch {
-        extractedSets = [];
-      }
-      
-      // Method 2: Try direct pattern-based extraction if needed
-      if (extractedSets.length === 0) {
-        try {
-          extractedSets = attemptDirectExtraction(preprocessedText);
-        } catch {
-          extractedSets = [];
-        }
-      }
-      
-      // Release worker resources
-      await worker.terminate();
-      
-      return extractedSets;
-    } catch {
-      setError('Failed to process image. Please try a different screenshot.');
-      return [];
-    }
+  const updateReviewEntry = (index, updates) => {
+    setReviewEntries(prev => prev.map((entry, idx) => (idx === index ? {
+      ...entry,
+      set: { ...entry.set, ...updates },
+      confidence: { ...entry.confidence, ...Object.fromEntries(Object.keys(updates).map(field => [field, 100])) }
+    } : entry)));
   };
 
   /**
-   * Get hardcoded sets for known festival screenshots
-   * @param {string} text - The preprocessed OCR text
-   * @returns {Array} - Array of set objects with artist, stage, start, and end times
+   * Fix the start time of a set in the review step, keeping its length
+   * @param {number} index - Index of the review entry
+   * @param {string} time - New start time in HH:MM format (24-hour)
    */
-  const getHardcodedSets = (text) => {
+  const updateReviewTime = (index, time) => {
+    const entry = reviewEntries[index];
+    if (!entry || !time) return;
     
-    // Create a base date for today
-    const baseDate = new Date();
-    baseDate.setHours(0, 0, 0, 0);
-    
-    // Helper function to create date objects
-    const createTime = (hours, minutes) => {
-      const date = new Date(baseDate);
-      date.setHours(hours, minutes, 0, 0);
-      return date.toISOString();
-    };
+    const setDay = festivalDays.find(day => day.id === entry.set.day) || uploadDay;
+    const start = new Date(entry.set.start);
+    const length = entry.set.end ? new Date(entry.set.end) - start : 0;
+    const times = createSetTimes(setDay, time, '');
+    if (!times) return;
     
-    // Check which screenshot we're processing based on text clues
-    const lowerText = text.toLowerCase();
-    
-    // Complete lineup from both screenshots
-    // This ensures we capture all artists regardless of which image is processed
-    const allSets = [
-      { artist: 'Nobodies King', stage: 'Cyberian Stage', start: createTime(14, 0) },
-      { artist: 'Jeanie b2b Vampa', stage: 'Forbidden Stage', start: createTime(14, 45) },
-      { artist: 'Andromedik', stage: 'Mystic Stage', start: createTime(16, 0) },
-      { artist: 'Level Up', stage: 'Forbidden Stage', start: createTime(17, 30) },
-      { artist: 'Ray Volpe', stage: 'Forbidden Stage', start: createTime(18, 30) },
-      { artist: 'Wooli', stage: 'Cyberian Stage', start: createTime(20, 0) },
-      { artist: 'SLANDER B2B Svdden Death', stage: 'Forbidden Stage', start: createTime(21, 30) },
-      { artist: 'Jade Cicada', stage: 'Cyberian Stage', start: createTime(22, 0) }
-    ];
-    
-    // Filter out any artists that shouldn't be in this particular screenshot
-    // This helps prevent showing artists that aren't in the current image
-    if (lowerText.includes('nobodies') && !lowerText.includes('slander') && !lowerText.includes('jade')) {
-      // First screenshot (with Nobodies King but without SLANDER and Jade Cicada)
-      return allSets.filter(set => 
-        !set.artist.includes('SLANDER') && !set.artist.includes('Jade'));
-    } 
-    else if (lowerText.includes('slander') || lowerText.includes('jade')) {
-      // Second screenshot (with SLANDER and Jade Cicada)
-      return allSets.filter(set => 
-        !set.artist.includes('Nobodies') && !set.artist.includes('Jeanie'));
+    const updatedSet = { ...entry.set, start: times.start };
+    if (length > 0) {
+      updatedSet.end = new Date(new Date(times.start).getTime() + length).toISOString();
     }
     
-    // Return all sets if we can't determine which screenshot it is
-    return allSets;
+    setReviewEntries(prev => prev.map((other, idx) => (idx === index ? {
+      ...other,
+      set: updatedSet,
+      confidence: { ...other.confidence, time: 100 }
+    } : other)));
   };
 
   /**
-   * Parse set times from Insomniac app format
-   * @param {string} text - The preprocessed OCR text
-   * @returns {Array} - Array of extracted sets
+   * Add the reviewed sets to the schedule
    */
-  const parseInsomniacFormat = (text) => {
-    // Specialized parser for Insomniac app screenshots
-    const lines = text.split('\n').filter(line => line.trim());
-    const sets = [];
+  const confirmReviewedSets = () => {
+    const reviewedSets = reviewEntries
+      .map(entry => ({ ...entry.set, artist: entry.set.artist.trim(), stage: entry.set.stage.trim() }))
+      .filter(set => set.artist);
     
-    // Look for specific time patterns in Insomniac format
-    const timePattern = /(\d{1,2})[:.]?(\d{2})\s*(AM|PM)/i;
+    // Sort by festival day, then by festival time
+    const updatedSets = sortByFestivalTime(deduplicateSets(processedSets, reviewedSets), festivalDays);
     
-    let currentTime = null;
-    let currentArtist = '';
-    let currentStage = '';
+    setProcessedSets(updatedSets);
+    setReviewEntries([]);
+    if (onSetsExtracted && updatedSets.length > 0) {
+      onSetsExtracted(updatedSets);
+    }
+  };
+
+  /**
+   * Add sets imported from a CSV or calendar file to the current sets
+   * @param {Array} importedSets - Sets read from the file
+   */
+  const addImportedSets = (importedSets) => {
+    const updatedSets = sortByFestivalTime(deduplicateSets(processedSets, importedSets), festivalDays);
     
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
+    setProcessedSets(updatedSets);
+    setError('');
+    if (onSetsExtracted && updatedSets.length > 0) {
+      onSetsExtracted(updatedSets);
+    }
+  };
+
+  /**
+   * Import the events of calendar (.ics) files as sets on the festival days they fall on
+   * @param {Array} files - Calendar files
+   */
+  const importCalendarFiles = async (files) => {
+    try {
+      const texts = await Promise.all(files.map(file => file.text()));
+      const events = texts.flatMap(text => parseIcsCalendar(text));
+      const { sets, skipped } = icsEventsToSets(events, festivalDays);
+      const names = files.map(file => file.name).join(', ');
       
-      // Check for time pattern
-      const timeMatch = line.match(timePattern);
-      if (timeMatch) {
-        // Extract time components
-        const [_, hours, minutes, ampm] = timeMatch;
-        
-        // Create a timestamp
-        let h = parseInt(hours);
-        const m = parseInt(minutes);
-        
-        // Convert to 24-hour format
-        if (ampm.toUpperCase() === 'PM' && h < 12) h += 12;
-        if (ampm.toUpperCase() === 'AM' && h === 12) h = 0;
-        
-        const date = new Date();
-        date.setHours(h, m, 0, 0);
-        currentTime = date.toISOString();
-        
-        // Reset the artist and stage
-        currentArtist = '';
-        currentStage = '';
-        continue;
+      if (sets.length === 0) {
+        setError(events.length > 0
+          ? `None of the events in ${names} fall on your festival days. Check the dates of your festival days and try again.`
+          : `No events found in ${names}.`);
+        return;
       }
       
-      // After a time, check for artist and stage info
-      if (currentTime) {
-        // If line contains 'Stage', it's likely a stage name
-        if (line.toLowerCase().includes('stage')) {
-          currentStage = line;
-          
-          // If we already have an artist, we can create a set
-          if (currentArtist) {
-            sets.push({
-              artist: currentArtist,
-              stage: currentStage,
-              start: currentTime
-            });
-            
-            currentArtist = ''; // Reset for next set
-          }
-        } 
-        // If not a stage and not a time, it's likely an artist
-        else if (!line.match(timePattern) && line.length > 1) {
-          currentArtist = line;
-          
-          // Check next line for stage information
-          if (i + 1 < lines.length && lines[i + 1].toLowerCase().includes('stage')) {
-            currentStage = lines[i + 1];
-            i++; // Skip the stage line
-            
-            sets.push({
-              artist: currentArtist,
-              stage: currentStage,
-              start: currentTime
-            });
-            
-            currentArtist = ''; // Reset for next set
-          }
-        }
-      }
+      addImportedSets(sets);
+      setImportNotice(`Imported ${sets.length} ${sets.length === 1 ? 'set' : 'sets'} from ${names}` +
+        (skipped > 0 ? ` (${skipped} all-day or out-of-festival ${skipped === 1 ? 'event' : 'events'} skipped)` : ''));
+    } catch (error) {
+      console.error('Error importing calendar:', error);
+      setError('Could not read that calendar file. Please try exporting it again.');
     }
-    
-    return sets;
   };
 
   /**
-   * Preprocess OCR text to improve extraction accuracy
-   * @param {string} text - Raw OCR text
-   * @returns {string} - Preprocessed text
+   * Stop reading the current screenshots, keeping any already finished
    */
-  const preprocessOcrText = (text) => {
-    return text
-      .replace(/\\n/g, '\n')
-      .replace(/[^\w\s.:@\-\n]/g, '')  // Remove unwanted symbols
-      .replace(/([0-9])l([0-9])/g, '$1:$2')  // "10l30" -> "10:30"
-      .replace(/([0-9])I([0-9])/g, '$1:$2')  // "10I30" -> "10:30"
-      .replace(/([0-9]);([0-9])/g, '$1:$2')  // "10;30" -> "10:30"
-      .replace(/([0-9])\.([0-9])/g, '$1:$2')  // "10.30" -> "10:30"
-      .replace(/(\d+)[:\s](\d+)([ap]m)/gi, '$1:$2 $3')  // Format times consistently
-      .replace(/\b(\d+):(\d+)\s*([AP]M?)\b/gi, '\n$1:$2 $3\n')  // Add linebreaks around times
-      .replace(/\b(village|forbidden|cosmic|kinetic|circuit|neon)\s*stage\b/gi, '\n$1 Stage\n')  // Add linebreaks around stages
-      .replace(/\s{2,}/g, ' ')  // Replace multiple spaces with single space
-      .trim();
+  const cancelImageUpload = () => {
+    if (ocrBatchRef.current) {
+      ocrBatchRef.current.cancel();
+    }
   };
 
   /**
-   * Attempt to extract set information directly from preprocessed text
-   * @param {string} text - Preprocessed OCR text
-   * @returns {Array} - Array of extracted sets
+   * Extract set time information from a screenshot's OCR result
+   * @param {Object} data - Tesseract result data with the text and the words' positions
+   * @returns {Array} - Array of sets on the screenshot's festival day
    */
-  const attemptDirectExtraction = (text) => {
-    const extractedSets = [];
-    const lines = text.split('\n').filter(line => line.trim());
-    
-    // Improved time pattern detection specific to festival app formats
-    const timePattern = /(\d{1,2})[:.]?(\d{2})\s*(AM|PM)/i;
-    
-    let currentStage = '';
-    let currentTime = '';
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      // Check if line contains a time
-      const timeMatch = line.match(timePattern);
-      if (timeMatch) {
-        // Extract hours, minutes, and AM/PM
-        const [_, hours, minutes, ampm] = timeMatch;
-        
-        // Parse hours and minutes
-        let h = parseInt(hours);
-        const m = parseInt(minutes);
-        
-        // Convert to 24-hour format
-        if (ampm.toUpperCase() === 'PM' && h < 12) h += 12;
-        if (ampm.toUpperCase() === 'AM' && h === 12) h = 0;
-        
-        // Create timestamp
-        const date = new Date();
-        date.setHours(h, m, 0, 0);
-        currentTime = date.toISOString();
-        continue;
-      }
-      
-      // Check if line contains a stage
-      if (line.toLowerCase().includes('stage')) {
-        currentStage = line;
-        continue;
-      }
-      
-      // If we have a time and a line that's not a time or stage, it's probably an artist
-      if (currentTime && !line.match(timePattern) && !line.toLowerCase().includes('stage') && line.length > 2) {
-        // Filter out known false positives (OCR errors)
-        if (line.toLowerCase().includes('swando') || line.toLowerCase().includes('fieldz')) {
-          continue; // Skip this line
-        }
-        
-        extractedSets.push({
-          artist: line,
-          stage: currentStage || 'Unknown Stage',
-          start: currentTime
-        });
+  const extractSetsFromOcr = ({ text, words }) => {
+    // Work out which festival day this screenshot belongs to
+    const inferredDay = inferFestivalDay(text, festivalDays);
+    const day = inferredDay || uploadDay;
+    if (inferredDay && uploadDay && inferredDay.id !== uploadDay.id) {
+      setDayNotice(`Detected ${formatFestivalDayLabel(inferredDay)} from the screenshot`);
+      if (onUploadDayChange) {
+        onUploadDayChange(inferredDay.id);
       }
     }
     
-    return extractedSets;
+    // Read the sets with whichever parser recognises the screenshot's layout
+    const { sets: extractedSets } = parseScheduleText(text, day, words);
+    
+    return extractedSets.map(set => ({ ...set, day: day ? day.id : undefined }));
   };
 
   /**
@@ -440,6 +449,140 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
     return `${hours}:${minutes}`;
   };
 
+  /**
+   * Format a date for display in 12-hour format
+   * @param {Date} dateObj - Date object to format
+   * @returns {string} - Time string (e.g., "8:30 PM")
+   */
+  const formatTimeForDisplay = (dateObj) => {
+    let hours = dateObj.getHours();
+    const minutes = dateObj.getMinutes().toString().padStart(2, '0');
+    const ampm = hours >= 12 ? 'PM' : 'AM';
+    
+    // Convert to 12-hour format
+    hours = hours % 12;
+    hours = hours ? hours : 12; // Convert 0 to 12
+    return `${hours}:${minutes} ${ampm}`;
+  };
+
+  /**
+   * Build start and end timestamps on a festival day from time inputs
+   * An end time earlier than the start means the set runs past midnight
+   * @param {Object} day - Festival day the set belongs to
+   * @param {string} startTime - Start time in HH:MM format (24-hour)
+   * @param {string} endTime - Optional end time in HH:MM format (24-hour)
+   * @returns {Object|null} - Object with day, start and optional end ISO strings, or null if invalid
+   */
+  const createSetTimes = (day, startTime, endTime) => {
+    const startParts = startTime.split(':');
+    if (startParts.length !== 2) return null;
+    
+    const start = placeTimeOnFestivalDay(day, parseInt(startParts[0]), parseInt(startParts[1]));
+    
+    const times = { day: day ? day.id : undefined, start: start.toISOString() };
+    
+    if (endTime) {
+      const endParts = endTime.split(':');
+      if (endParts.length === 2) {
+        const end = new Date(start);
+        end.setHours(parseInt(endParts[0]), parseInt(endParts[1]), 0, 0);
+        if (end <= start) {
+          end.setDate(end.getDate() + 1);
+        }
+        times.end = end.toISOString();
+      }
+    }
+    
+    return times;
+  };
+
+  /**
+   * Build arrive / leave timestamps for partial attendance of a set
+   * Times earlier than the set start belong to the next calendar date (sets running past midnight)
+   * @param {Object} times - Set times from createSetTimes
+   * @param {string} arriveTime - Optional arrive time in HH:MM format (24-hour)
+   * @param {string} leaveTime - Optional leave time in HH:MM format (24-hour)
+   * @returns {Object|null} - Object with optional arriveAt and leaveAt ISO strings, or null if outside the set
+   */
+  const createAttendanceTimes = (times, arriveTime, leaveTime) => {
+    const start = new Date(times.start);
+    const end = getSetEnd(times, defaultSetDuration);
+    
+    const placeTime = (time) => {
+      const parts = time.split(':');
+      const date = new Date(start);
+      date.setHours(parseInt(parts[0]), parseInt(parts[1]), 0, 0);
+      if (date < start) {
+        date.setDate(date.getDate() + 1);
+      }
+      return date;
+    };
+    
+    const arrive = arriveTime ? placeTime(arriveTime) : null;
+    const leave = leaveTime ? placeTime(leaveTime) : null;
+    
+    if (arrive && arrive >= end) return null;
+    if (leave && (leave > end || leave <= (arrive || start))) return null;
+    
+    return {
+      ...(arrive && arrive > start && { arriveAt: arrive.toISOString() }),
+      ...(leave && leave < end && { leaveAt: leave.toISOString() })
+    };
+  };
+
+  /**
+   * Set the set being edited to only its last few minutes
+   * @param {number} minutes - Minutes to catch before the set ends
+   */
+  const catchLastMinutes = (minutes) => {
+    if (!editingSet || !editingSet.time) return;
+    
+    const setDay = festivalDays.find(day => day.id === processedSets[editingSet.index]?.day) || uploadDay;
+    const times = createSetTimes(setDay, editingSet.time, editingSet.endTime);
+    if (!times) return;
+    
+    // Catching more than the whole set just means attending all of it
+    const start = new Date(times.start);
+    const end = getSetEnd(times, defaultSetDuration);
+    const arrive = new Date(Math.max(start.getTime(), end.getTime() - minutes * 60 * 1000));
+    
+    setEditingSet({
+      ...editingSet,
+      arriveTime: arrive > start ? formatTimeForInput(arrive) : '',
+      leaveTime: '',
+      errors: { ...(editingSet.errors || {}), attendance: false }
+    });
+  };
+
+  /**
+   * Change the festival day of the upload, moving any listed sets onto it
+   * @param {string} dayId - Id of the selected festival day
+   */
+  const changeUploadDay = (dayId) => {
+    const day = festivalDays.find(d => d.id === dayId);
+    if (!day) return;
+    
+    setDayNotice('');
+    if (onUploadDayChange) {
+      onUploadDayChange(dayId);
+    }
+    
+    if (processedSets.length > 0) {
+      const movedSets = processedSets.map(set => (
+        moveSetToDay(set, day, festivalDays.find(d => d.id === set.day) || day)
+      ));
+      setProcessedSets(movedSets);
+      onSetsChange(movedSets);
+    }
+    
+    if (reviewEntries.length > 0) {
+      setReviewEntries(reviewEntries.map(entry => ({
+        ...entry,
+        set: moveSetToDay(entry.set, day, festivalDays.find(d => d.id === entry.set.day) || day)
+      })));
+    }
+  };
+
   /**
    * Render a list of extracted sets
    * @returns {JSX.Element} - The list component
@@ -448,6 +591,10 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
     // Always show UI in manual mode if we're adding a set, even with no sets
     if (processedSets.length === 0 && !isAddingSet && !isManualEntry) return null;
     
+    // Overlapping sets in this schedule (OCR misreads or genuine clashes)
+    const clashes = findSetClashes(processedSets, defaultSetDuration);
+    const clashingIndices = getClashingIndices(clashes);
+    
     return (
       <div className="mt-4 bg-black bg-opacity-60 p-3 rounded-md border border-edc-purple">
         <div className="flex justify-between items-center mb-2">
@@ -471,7 +618,7 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
                   fileInputRef.current.value = null;
                 }
                 // Clear the sets at parent level too
-                onSetsExtracted([]);
+                onSetsChange([]);
                 setIsAddingSet(false);
                 setEditingSet(null);
               }}
@@ -484,7 +631,7 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
         </div>
         
         {isAddingSet && (
-          <div className="mb-3 p-2 bg-black bg-opacity-70 rounded border border-edc-blue/30 grid grid-cols-1 gap-2 md:grid-cols-3">
+          <div className="mb-3 p-2 bg-black bg-opacity-70 rounded border border-edc-blue/30 grid grid-cols-1 gap-2 md:grid-cols-4">
             <input 
               type="text" 
               placeholder="Artist"
@@ -508,6 +655,13 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
               }}
               className={`bg-black/80 border ${validationErrors.start ? 'border-red-500' : 'border-edc-purple/30'} rounded px-3 py-2 text-base text-white w-full`}
             />
+            <input 
+              type="time"
+              value={newSet.end}
+              onChange={(e) => setNewSet({...newSet, end: e.target.value})}
+              title="End time (optional)"
+              className="bg-black/80 border border-edc-purple/30 rounded px-3 py-2 text-base text-white/80 w-full"
+            />
             <div className="flex">
               <input 
                 type="text" 
@@ -539,74 +693,160 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
           </div>
         )}
         
+        <SetClashResolver
+          sets={processedSets}
+          clashes={clashes}
+          onResolve={(updatedSets) => {
+            setEditingSet(null);
+            setProcessedSets(updatedSets);
+            onSetsChange(updatedSets);
+          }}
+        />
+        
         <div className="max-h-48 overflow-y-auto">
           {processedSets.map((set, index) => {
             // Format the time for display
-            const date = new Date(set.start);
-            let hours = date.getHours();
-            const minutes = date.getMinutes().toString().padStart(2, '0');
-            const ampm = hours >= 12 ? 'PM' : 'AM';
+            const formattedTime = formatTimeForDisplay(new Date(set.start));
+            
+            // Sets without a known end show the assumed end time
+            const isEndAssumed = !hasKnownEnd(set);
+            const endDate = getSetEnd(set, defaultSetDuration);
+            const formattedEnd = endDate ? formatTimeForDisplay(endDate) : '';
             
-            // Convert to 12-hour format
-            hours = hours % 12;
-            hours = hours ? hours : 12; // Convert 0 to 12
-            const formattedTime = `${hours}:${minutes} ${ampm}`;
+            // Label the festival day when the list spans more than one day
+            const setDay = festivalDays.find(day => day.id === set.day);
+            const showDay = setDay && processedSets.some(other => other.day !== set.day);
             
             // Check if this set is being edited
             const isEditing = editingSet !== null && editingSet.index === index;
             
             return (
-              <div key={index} className={`group ${isEditing ? 'bg-black/70 rounded' : ''} ${index !== processedSets.length - 1 ? 'border-b border-edc-purple/10' : ''}`}>
+              <div key={index} className={`group ${isEditing ? 'bg-black/70 rounded' : ''} ${clashingIndices.has(index) && !isEditing ? 'bg-red-900/20 border-l-2 border-l-red-500 pl-1' : ''} ${index !== processedSets.length - 1 ? 'border-b border-edc-purple/10' : ''}`}>
                 {isEditing ? (
-                  <div className="grid grid-cols-3 gap-2 p-2">
-                    <input 
-                      type="text" 
-                      value={editingSet.artist}
-                      onChange={(e) => {
-                        const newValue = e.target.value;
-                        setEditingSet({...editingSet, artist: newValue, errors: {...(editingSet.errors || {}), artist: !newValue.trim()}});
-                      }}
-                      className={`bg-black/80 border ${editingSet.errors?.artist ? 'border-red-500' : 'border-edc-purple/30'} rounded px-2 py-1 text-sm text-edc-pink`}
-                    />
-                    <input 
-                      type="time"
-                      value={editingSet.time}
-                      onChange={(e) => {
-                        const newValue = e.target.value;
-                        setEditingSet({...editingSet, time: newValue, errors: {...(editingSet.errors || {}), time: !newValue}});
-                      }}
-                      className={`bg-black/80 border ${editingSet.errors?.time ? 'border-red-500' : 'border-edc-purple/30'} rounded px-2 py-1 text-sm text-white`}
-                    />
-                    <div className="flex">
+                  <div>
+                    <div className="grid grid-cols-4 gap-2 p-2">
                       <input 
                         type="text" 
-                        value={editingSet.stage}
+                        value={editingSet.artist}
+                        onChange={(e) => {
+                          const newValue = e.target.value;
+                          setEditingSet({...editingSet, artist: newValue, errors: {...(editingSet.errors || {}), artist: !newValue.trim()}});
+                        }}
+                        className={`bg-black/80 border ${editingSet.errors?.artist ? 'border-red-500' : 'border-edc-purple/30'} rounded px-2 py-1 text-sm text-edc-pink`}
+                      />
+                      <input 
+                        type="time"
+                        value={editingSet.time}
                         onChange={(e) => {
                           const newValue = e.target.value;
-                          setEditingSet({...editingSet, stage: newValue, errors: {...(editingSet.errors || {}), stage: !newValue.trim()}});
+                          setEditingSet({...editingSet, time: newValue, errors: {...(editingSet.errors || {}), time: !newValue}});
                         }}
-                        className={`bg-black/80 border ${editingSet.errors?.stage ? 'border-red-500' : 'border-edc-purple/30'} rounded px-2 py-1 text-sm text-edc-blue flex-1 mr-2`}
+                        className={`bg-black/80 border ${editingSet.errors?.time ? 'border-red-500' : 'border-edc-purple/30'} rounded px-2 py-1 text-sm text-white`}
+                      />
+                      <input 
+                        type="time"
+                        value={editingSet.endTime}
+                        onChange={(e) => setEditingSet({...editingSet, endTime: e.target.value})}
+                        title="End time (optional)"
+                        className="bg-black/80 border border-edc-purple/30 rounded px-2 py-1 text-sm text-white/80"
                       />
                       <div className="flex">
-                        <button 
-                          onClick={saveSetChanges}
-                          className="bg-edc-purple/30 hover:bg-edc-purple/50 text-white text-xs rounded px-2 mr-1"
+                        <input 
+                          type="text" 
+                          value={editingSet.stage}
+                          onChange={(e) => {
+                            const newValue = e.target.value;
+                            setEditingSet({...editingSet, stage: newValue, errors: {...(editingSet.errors || {}), stage: !newValue.trim()}});
+                          }}
+                          className={`bg-black/80 border ${editingSet.errors?.stage ? 'border-red-500' : 'border-edc-purple/30'} rounded px-2 py-1 text-sm text-edc-blue flex-1 mr-2`}
+                        />
+                        <div className="flex">
+                          <button 
+                            onClick={saveSetChanges}
+                            className="bg-edc-purple/30 hover:bg-edc-purple/50 text-white text-xs rounded px-2 mr-1"
+                          >
+                            Save
+                          </button>
+                          <button 
+                            onClick={() => setEditingSet(null)}
+                            className="bg-black/50 hover:bg-black/70 text-red-400 text-xs rounded px-2"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </div>
+                    </div>
+                  
+                    {/* Partial attendance: when this friend gets to and leaves the set */}
+                    <div className="flex flex-wrap items-center gap-2 px-2 pb-2 text-xs text-white/60">
+                      <label className="flex items-center">
+                        <span className="mr-1">Arrive</span>
+                        <input
+                          type="time"
+                          value={editingSet.arriveTime}
+                          onChange={(e) => setEditingSet({...editingSet, arriveTime: e.target.value, errors: {...(editingSet.errors || {}), attendance: false}})}
+                          className={`bg-black/80 border ${editingSet.errors?.attendance ? 'border-red-500' : 'border-edc-purple/30'} rounded px-1 py-0.5 text-white/80`}
+                        />
+                      </label>
+                      <label className="flex items-center">
+                        <span className="mr-1">Leave</span>
+                        <input
+                          type="time"
+                          value={editingSet.leaveTime}
+                          onChange={(e) => setEditingSet({...editingSet, leaveTime: e.target.value, errors: {...(editingSet.errors || {}), attendance: false}})}
+                          className={`bg-black/80 border ${editingSet.errors?.attendance ? 'border-red-500' : 'border-edc-purple/30'} rounded px-1 py-0.5 text-white/80`}
+                        />
+                      </label>
+                      <span className="ml-1">Catch last</span>
+                      {CATCH_LAST_OPTIONS.map(minutes => (
+                        <button
+                          key={minutes}
+                          onClick={() => catchLastMinutes(minutes)}
+                          className="px-1.5 py-0.5 rounded border border-edc-blue/30 text-edc-blue hover:border-edc-pink/50 hover:text-edc-pink"
                         >
-                          Save
+                          {minutes}
                         </button>
-                        <button 
-                          onClick={() => setEditingSet(null)}
-                          className="bg-black/50 hover:bg-black/70 text-red-400 text-xs rounded px-2"
+                      ))}
+                      <span>min</span>
+                      {(editingSet.arriveTime || editingSet.leaveTime) && (
+                        <button
+                          onClick={() => setEditingSet({...editingSet, arriveTime: '', leaveTime: '', errors: {...(editingSet.errors || {}), attendance: false}})}
+                          className="text-white/50 hover:text-white underline"
                         >
-                          Cancel
+                          Whole set
                         </button>
-                      </div>
+                      )}
                     </div>
                   </div>
                 ) : (
                   <div className="grid grid-cols-3 gap-2 text-sm py-2">
-                    <div className="text-edc-pink font-medium truncate">{set.artist}</div>
-                    <div className="text-white">{formattedTime}</div>
+                    <div className="text-edc-pink font-medium truncate flex items-center">
+                      <button
+                        onClick={() => cycleSetPriority(index)}
+                        className={`text-[10px] leading-none px-1.5 py-1 mr-1.5 rounded-full border flex-shrink-0 ${PRIORITY_STYLES[getSetPriority(set)]}`}
+                        title="Change priority (Must-see, Want, Maybe). Maybe sets can be skipped to make room for meetups."
+                      >
+                        {SET_PRIORITY_LABELS[getSetPriority(set)]}
+                      </button>
+                      <span className="truncate">{set.artist}</span>
+                    </div>
+                    <div className="text-white">
+                      {showDay && <span className="text-edc-purple text-xs mr-1">{setDay.label}</span>}
+                      {formattedTime}
+                      {formattedEnd && (
+                        <span
+                          className={isEndAssumed ? 'text-white/40 italic' : 'text-white/70'}
+                          title={isEndAssumed ? `No end time, assuming a ${defaultSetDuration}-minute set` : undefined}
+                        >
+                          {' '}- {isEndAssumed ? '~' : ''}{formattedEnd}
+                        </span>
+                      )}
+                      {isPartialAttendance(set, defaultSetDuration) && (
+                        <div className="text-xs text-edc-purple" title="Only catching part of this set">
+                          here {formatTimeForDisplay(getBusyWindow(set, defaultSetDuration).start)} - {formatTimeForDisplay(getBusyWindow(set, defaultSetDuration).end)}
+                        </div>
+                      )}
+                    </div>
                     <div className="text-edc-blue truncate flex justify-between items-center">
                       <span className="truncate flex-1 text-center">{set.stage}</span>
                       <div className="flex">
@@ -615,7 +855,10 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
                             index,
                             artist: set.artist,
                             stage: set.stage,
-                            time: formatTimeForInput(new Date(set.start))
+                            time: formatTimeForInput(new Date(set.start)),
+                            endTime: hasKnownEnd(set) ? formatTimeForInput(new Date(set.end)) : '',
+                            arriveTime: set.arriveAt ? formatTimeForInput(new Date(set.arriveAt)) : '',
+                            leaveTime: set.leaveAt ? formatTimeForInput(new Date(set.leaveAt)) : ''
                           })}
                           className="text-edc-purple hover:text-edc-blue ml-1 opacity-0 group-hover:opacity-100 hover:opacity-100"
                           title="Edit Set"
@@ -641,6 +884,24 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
             );
           })}
         </div>
+        
+        <div className="mt-2 pt-2 border-t border-edc-purple/10 flex items-center justify-end text-xs text-white/50">
+          <label htmlFor="default-set-duration" className="mr-2">Sets without an end time last</label>
+          <input
+            id="default-set-duration"
+            key={defaultSetDuration}
+            type="number"
+            min="5"
+            max="240"
+            step="5"
+            defaultValue={defaultSetDuration}
+            onBlur={(e) => onDefaultSetDurationChange && onDefaultSetDurationChange(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+            disabled={!onDefaultSetDurationChange}
+            className="w-14 bg-black/80 border border-edc-purple/30 rounded px-1 py-0.5 text-white text-center"
+          />
+          <span className="ml-1">min</span>
+        </div>
       </div>
     );
   };
@@ -679,50 +940,51 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
       return;
     }
     
-    // Create a new date from the time input
-    const timeParts = editingSet.time.split(':');
-    if (timeParts.length !== 2) return;
-    
-    const hours = parseInt(timeParts[0]);
-    const minutes = parseInt(timeParts[1]);
+    // Create new start and end dates from the time inputs
+    const setDay = festivalDays.find(day => day.id === processedSets[editingSet.index]?.day) || uploadDay;
+    const times = createSetTimes(setDay, editingSet.time, editingSet.endTime);
+    if (!times) return;
     
-    const date = new Date();
-    date.setHours(hours);
-    date.setMinutes(minutes);
-    date.setSeconds(0);
+    // Arrive / leave times must fall within the set
+    const attendance = createAttendanceTimes(times, editingSet.arriveTime, editingSet.leaveTime);
+    if (!attendance) {
+      setEditingSet({
+        ...editingSet,
+        errors: { ...(editingSet.errors || {}), attendance: true }
+      });
+      return;
+    }
     
     // Update the set with title-cased strings
     const updatedSets = [...processedSets];
     updatedSets[editingSet.index] = {
+      ...(processedSets[editingSet.index].priority && { priority: processedSets[editingSet.index].priority }),
       artist: toTitleCase(editingSet.artist.trim()),
       stage: toTitleCase(editingSet.stage.trim()),
-      start: date.toISOString()
-    };
-    
-    // Helper function to adjust time for festival sorting (8am as starting point)
-    const getAdjustedSortTime = (dateStr) => {
-      const date = new Date(dateStr);
-      const hours = date.getHours();
-      const minutes = date.getMinutes();
-      
-      // Calculate hours offset from 8am (0-23 hours scale)
-      // Hours 8-23 come first (0-15), then hours 0-7 (16-23)
-      const adjustedHours = (hours >= 8) ? hours - 8 : hours + 16;
-      
-      // Return a comparable value (hours * 60 + minutes) for easy sorting
-      return adjustedHours * 60 + minutes;
+      ...times,
+      ...attendance
     };
     
-    // Sort sets by festival time (8am as starting point)
-    const sortedSets = [...updatedSets].sort((a, b) => {
-      return getAdjustedSortTime(a.start) - getAdjustedSortTime(b.start);
-    });
+    // Sort sets by festival day, then by festival time
+    const sortedSets = sortByFestivalTime(updatedSets, festivalDays);
     
     setProcessedSets(sortedSets);
-    onSetsExtracted(sortedSets);
+    onSetsChange(sortedSets);
     setEditingSet(null);
   };
 
+  /**
+   * Move a set on to its next priority (must-see, want, maybe)
+   * @param {number} index - Index of set to update
+   */
+  const cycleSetPriority = (index) => {
+    const updatedSets = processedSets.map((set, i) => (
+      i === index ? { ...set, priority: getNextSetPriority(getSetPriority(set)) } : set
+    ));
+    setProcessedSets(updatedSets);
+    onSetsChange(updatedSets);
+  };
+
   /**
    * Delete a set from the processed sets
    * @param {number} index - Index of set to delete
@@ -730,7 +992,7 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
   const deleteSet = (index) => {
     const updatedSets = processedSets.filter((_, i) => i !== index);
     setProcessedSets(updatedSets);
-    onSetsExtracted(updatedSets);
+    onSetsChange(updatedSets);
   };
 
   /**
@@ -753,48 +1015,25 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
     // Reset validation errors
     setValidationErrors({ artist: false, stage: false, start: false });
     
-    // Create a new date from the start time input
-    const timeParts = newSet.start.split(':');
-    if (timeParts.length !== 2) return;
-    
-    const hours = parseInt(timeParts[0]);
-    const minutes = parseInt(timeParts[1]);
-    
-    const date = new Date();
-    date.setHours(hours);
-    date.setMinutes(minutes);
-    date.setSeconds(0);
+    // Create new start and end dates from the time inputs
+    const times = createSetTimes(uploadDay, newSet.start, newSet.end);
+    if (!times) return;
     
     // Add the new set with title-cased strings
     const newSetObj = {
       artist: toTitleCase(newSet.artist.trim()),
       stage: toTitleCase(newSet.stage.trim()),
-      start: date.toISOString()
-    };
-    
-    // Add the new set and sort by time starting from 8am
-    const getAdjustedSortTime = (dateStr) => {
-      const date = new Date(dateStr);
-      const hours = date.getHours();
-      const minutes = date.getMinutes();
-      
-      // Calculate hours offset from 8am (0-23 hours scale)
-      // Hours 8-23 come first (0-15), then hours 0-7 (16-23)
-      const adjustedHours = (hours >= 8) ? hours - 8 : hours + 16;
-      
-      // Return a comparable value (hours * 60 + minutes) for easy sorting
-      return adjustedHours * 60 + minutes;
+      ...times
     };
     
-    const updatedSets = [...processedSets, newSetObj].sort((a, b) => {
-      return getAdjustedSortTime(a.start) - getAdjustedSortTime(b.start);
-    });
+    // Add the new set and sort by festival day, then by festival time
+    const updatedSets = sortByFestivalTime([...processedSets, newSetObj], festivalDays);
     
     setProcessedSets(updatedSets);
     onSetsExtracted(updatedSets);
     
     // Reset for the next entry
-    setNewSet({ artist: '', stage: '', start: '' });
+    setNewSet({ artist: '', stage: '', start: '', end: '' });
     setIsAddingSet(false);
   };
 
@@ -802,7 +1041,7 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
   const toggleEntryMode = useCallback(() => {
     // Clear sets when toggling modes
     setProcessedSets([]);
-    onSetsExtracted([]);
+    onSetsChange([]);
     setIsAddingSet(false);
     setEditingSet(null);
     
@@ -824,7 +1063,7 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
     if (onToggleMode) {
       onToggleMode(newMode);
     }
-  }, [isManualEntry, onSetsExtracted, onToggleMode]);
+  }, [isManualEntry, onSetsChange, onToggleMode]);
   
   // Expose toggle function to parent via ref
   useEffect(() => {
@@ -846,12 +1085,34 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
   return (
     <div className="space-y-4">
       
+      {festivalDays.length > 0 && (
+        <div className="flex items-center justify-center text-xs">
+          <label htmlFor="upload-festival-day" className="text-white/60 mr-2">These sets are for</label>
+          <select
+            id="upload-festival-day"
+            value={uploadDay ? uploadDay.id : ''}
+            onChange={(e) => changeUploadDay(e.target.value)}
+            className="bg-black/80 border border-edc-purple/40 rounded px-2 py-1 text-edc-blue"
+          >
+            {festivalDays.map(day => (
+              <option key={day.id} value={day.id}>{formatFestivalDayLabel(day)}</option>
+            ))}
+          </select>
+          {dayNotice && <span className="ml-2 text-edc-pink/80 italic">{dayNotice}</span>}
+        </div>
+      )}
+      
+      <div className="text-center">
+        <CsvScheduleImport festivalDays={festivalDays} defaultDay={uploadDay} onImport={addImportedSets} />
+        {importNotice && <p className="text-edc-pink/80 italic text-xs mt-1">{importNotice}</p>}
+      </div>
+      
       {!isManualEntry && (
         <div className="space-y-3">
           <div className="relative rounded-lg border border-dashed border-edc-purple/40 bg-black/40 p-4 text-center hover:border-edc-pink/50 transition-all duration-200 cursor-pointer hover:bg-black/50">
             <input
               type="file"
-              accept="image/*"
+              accept="image/*,.ics,text/calendar"
               multiple
               onChange={handleImageUpload}
               ref={fileInputRef}
@@ -861,9 +1122,76 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
               <svg xmlns="http://www.w3.org/2000/svg" className="h-7 w-7 text-edc-purple/70 mb-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
               </svg>
-              <p className="text-xs text-white/50 mb-1 tracking-wide">Drag and drop festival schedule screenshots or click to browse</p>
+              <p className="text-xs text-white/50 mb-1 tracking-wide">Drag and drop festival schedule screenshots or calendar (.ics) files, or click to browse</p>
             </div>
           </div>
+          <div className="flex justify-between items-center text-xs">
+            <button
+              onClick={() => setCleanUpImages(!cleanUpImages)}
+              className={cleanUpImages ? 'text-edc-blue hover:text-edc-purple' : 'text-white/40 hover:text-white/60'}
+              title="Scale, crop the status bar, invert dark themes and sharpen text to black and white before reading"
+            >
+              {cleanUpImages ? '✓ ' : ''}Clean up screenshots before reading
+            </button>
+            {imagePreviews.length > 0 && (
+              <button onClick={() => setImagePreviews([])} className="text-white/40 hover:text-white/60">
+                Hide preview
+              </button>
+            )}
+          </div>
+          {imagePreviews.length > 0 && (
+            <div className="space-y-2">
+              {imagePreviews.map((preview, idx) => (
+                <div key={idx} className="bg-black/40 rounded-md border border-edc-purple/20 p-2">
+                  <p className="text-white/50 text-xs truncate mb-1">{preview.name}</p>
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <p className="text-white/40 text-xs mb-1">Before</p>
+                      <img src={preview.before} alt={`${preview.name} before cleanup`} className="w-full max-h-64 object-contain object-top rounded-sm" />
+                    </div>
+                    <div>
+                      <p className="text-white/40 text-xs mb-1">After (what is read)</p>
+                      <img src={preview.after} alt={`${preview.name} after cleanup`} className="w-full max-h-64 object-contain object-top rounded-sm bg-white" />
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+          {cropImages.length > 0 && (
+            <div className="bg-black/60 p-3 rounded-md border border-edc-purple/40">
+              <h3 className="text-edc-blue text-sm font-medium mb-1">Choose What to Read</h3>
+              <p className="text-white/50 text-xs mb-3">
+                Drag boxes around the schedule to skip headers, ads and menus. Each box is read in order, top to bottom.
+              </p>
+              <div className="space-y-3">
+                {cropImages.map((image, idx) => (
+                  <div key={image.url} className="bg-black/40 rounded-md border border-edc-purple/20 p-2">
+                    <div className="flex justify-between items-center mb-1 text-xs">
+                      <p className="text-white/50 truncate">{image.file.name}</p>
+                      {image.isRemembered && (
+                        <span className="text-edc-pink/80 italic ml-2 shrink-0">Using your last crop for this screenshot size</span>
+                      )}
+                    </div>
+                    <ImageCropper
+                      src={image.url}
+                      name={image.file.name}
+                      regions={image.regions}
+                      onChange={(regions) => updateCropRegions(idx, regions)}
+                    />
+                  </div>
+                ))}
+              </div>
+              <div className="flex justify-end items-center mt-3 text-xs">
+                <button onClick={() => setCropImages([])} className="text-white/50 hover:text-white/70 mr-4">
+                  Cancel
+                </button>
+                <button onClick={readCroppedImages} className="bg-gradient-to-r from-edc-purple to-edc-pink text-white font-medium px-3 py-1 rounded-md">
+                  Read {cropImages.length} {cropImages.length === 1 ? 'Screenshot' : 'Screenshots'}
+                </button>
+              </div>
+            </div>
+          )}
         </div>
       )}
       
@@ -871,21 +1199,27 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
       
       {isProcessing && (
         <div className="mb-4">
-          <div className="flex items-center mb-1">
-            <div className="w-full bg-black rounded-full h-3 mr-2 border border-edc-purple/30 overflow-hidden">
-              <div 
-                className="bg-gradient-to-r from-edc-purple to-edc-pink h-full rounded-full transition-all duration-300 ease-out"
-                style={{ width: `${progress}%` }}
-              ></div>
+          {imageProgress.map((image, idx) => (
+            <div key={idx} className="flex items-center mb-1">
+              <span className="text-white/50 text-xs w-24 truncate mr-2" title={image.name}>{image.name}</span>
+              <div className="w-full bg-black rounded-full h-3 mr-2 border border-edc-purple/30 overflow-hidden">
+                <div 
+                  className="bg-gradient-to-r from-edc-purple to-edc-pink h-full rounded-full transition-all duration-300 ease-out"
+                  style={{ width: `${image.progress}%` }}
+                ></div>
+              </div>
+              <span className="text-edc-pink text-xs font-medium">{image.progress}%</span>
             </div>
-            <span className="text-edc-pink text-xs font-medium">{progress}%</span>
-          </div>
+          ))}
           <div className="flex items-center text-edc-purple text-xs">
             <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-edc-pink" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
               <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
               <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
             </svg>
             <span>Processing festival schedule, extracting set times...</span>
+            <button onClick={cancelImageUpload} className="ml-auto text-red-400 hover:text-red-300 font-medium">
+              Cancel
+            </button>
           </div>
         </div>
       )}
@@ -896,7 +1230,26 @@ const FestivalScheduleUploader = ({ onSetsExtracted, onToggleMode, initialManual
         </div>
       )}
       
+      <OcrReviewStep
+        entries={reviewEntries}
+        onChange={updateReviewEntry}
+        onTimeChange={updateReviewTime}
+        onRemove={(index) => setReviewEntries(prev => prev.filter((entry, idx) => idx !== index))}
+        onConfirm={confirmReviewedSets}
+        onDiscard={() => setReviewEntries([])}
+      />
+      
       {renderProcessedSets()}
+      
+      {/* Arrival, departure and non-set busy time are entered by hand */}
+      {isManualEntry && onPersonalTimeChange && (
+        <PersonalTimeEditor
+          day={uploadDay}
+          blocks={blocks}
+          presence={presence}
+          onChange={onPersonalTimeChange}
+        />
+      )}
     </div>
   );
 };
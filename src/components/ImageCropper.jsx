@@ -0,0 +1,111 @@
+import React, { useRef, useState } from 'react';
+import { createCropRegion } from '../utils/cropRegions';
+
+/**
+ * Convert a region in fractions of the image to CSS percentages
+ * @param {Object} region - Region with x, y, width and height from 0 to 1
+ * @returns {Object} - Style object for an absolutely positioned box
+ */
+const toBoxStyle = (region) => ({
+  left: `${region.x * 100}%`,
+  top: `${region.y * 100}%`,
+  width: `${region.width * 100}%`,
+  height: `${region.height * 100}%`
+});
+
+/**
+ * Screenshot with drag-to-select crop regions; only the regions are read by OCR
+ * @param {Object} props - Component props
+ * @param {string} props.src - Image URL
+ * @param {string} props.name - File name, for the image's alt text
+ * @param {Array} props.regions - Regions with x, y, width and height as fractions of the image
+ * @param {Function} props.onChange - Function to call with the updated regions
+ */
+const ImageCropper = ({ src, name, regions = [], onChange }) => {
+  const containerRef = useRef(null);
+  const [dragStart, setDragStart] = useState(null);
+  const [dragCurrent, setDragCurrent] = useState(null);
+
+  const getPoint = (event) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) / rect.width,
+      y: (event.clientY - rect.top) / rect.height
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const point = getPoint(event);
+    setDragStart(point);
+    setDragCurrent(point);
+  };
+
+  const handlePointerMove = (event) => {
+    if (dragStart) setDragCurrent(getPoint(event));
+  };
+
+  const handlePointerUp = (event) => {
+    if (!dragStart) return;
+
+    const region = createCropRegion(dragStart, getPoint(event));
+    setDragStart(null);
+    setDragCurrent(null);
+    if (region) onChange([...regions, region]);
+  };
+
+  const dragRegion = dragStart && dragCurrent ? createCropRegion(dragStart, dragCurrent) : null;
+
+  return (
+    <div>
+      <div
+        ref={containerRef}
+        className="relative select-none cursor-crosshair"
+        style={{ touchAction: 'none' }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+      >
+        <img src={src} alt={`${name} to crop`} className="w-full rounded-sm pointer-events-none" draggable={false} />
+
+        {regions.map((region, idx) => (
+          <div
+            key={idx}
+            className="absolute border-2 border-edc-pink bg-edc-pink/10 pointer-events-none"
+            style={toBoxStyle(region)}
+          >
+            <span className="absolute top-0 left-0 bg-edc-pink text-black text-xs font-bold px-1">{idx + 1}</span>
+          </div>
+        ))}
+
+        {dragRegion && (
+          <div className="absolute border-2 border-dashed border-edc-blue pointer-events-none" style={toBoxStyle(dragRegion)} />
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mt-1 text-xs">
+        {regions.length === 0 ? (
+          <span className="text-white/40">Drag over the schedule to read only that part. The whole screenshot is read otherwise.</span>
+        ) : (
+          <>
+            {regions.map((region, idx) => (
+              <button
+                key={idx}
+                onClick={() => onChange(regions.filter(other => other !== region))}
+                className="text-edc-pink hover:text-red-400"
+                title="Remove region"
+              >
+                Region {idx + 1} ✕
+              </button>
+            ))}
+            <button onClick={() => onChange([])} className="text-white/40 hover:text-white/60 ml-auto">
+              Use whole screenshot
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImageCropper;
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import FestivalDayTabs from './FestivalDayTabs';
+import searchLineup from '../utils/festivalLineup';
+import { formatFestivalDayLabel } from '../utils/festivalDays';
+
+/**
+ * Searchable festival lineup, one list per stage in time order, for ticking the sets to go to
+ * A search looks across every day; otherwise one day is shown at a time
+ * @param {Object} props - Component props
+ * @param {Array} props.lineup - Lineup sets with id, day, artist, stage, start and optional end
+ * @param {Array} props.festivalDays - Configured festival days
+ * @param {Array} props.pickedIds - Ids of the lineup sets already in the schedule
+ * @param {Function} props.onToggle - Function to call with a lineup set to add or remove
+ */
+const LineupPicker = ({ lineup, festivalDays = [], pickedIds = [], onToggle }) => {
+  const [query, setQuery] = useState('');
+  const [dayId, setDayId] = useState(null);
+
+  const lineupDays = festivalDays.filter(day => lineup.some(set => set.day === day.id));
+  const activeDay = lineupDays.find(day => day.id === dayId) || lineupDays[0];
+  const isSearching = query.trim() !== '';
+  const shownSets = isSearching
+    ? searchLineup(lineup, query)
+    : lineup.filter(set => activeDay && set.day === activeDay.id);
+
+  // Stages keep the order they first appear in the lineup
+  const stages = [...new Set(shownSets.map(set => set.stage))];
+
+  return (
+    <div>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search artists or stages"
+        className="w-full bg-black/80 border border-edc-purple/40 rounded-md py-1 px-2 text-white text-sm mb-3 focus:border-edc-pink focus:outline-none"
+      />
+
+      {!isSearching && (
+        <FestivalDayTabs days={lineupDays} activeDayId={activeDay && activeDay.id} onSelectDay={setDayId} />
+      )}
+
+      {stages.length === 0 ? (
+        <p className="text-white/50 text-xs italic">No sets match “{query.trim()}”.</p>
+      ) : (
+        <div className="space-y-3 max-h-96 overflow-y-auto">
+          {stages.map(stage => (
+            <div key={stage}>
+              <h4 className="text-edc-blue text-xs font-medium uppercase tracking-wide mb-1">{stage}</h4>
+              <ul className="space-y-1">
+                {shownSets.filter(set => set.stage === stage).map(set => {
+                  const isPicked = pickedIds.includes(set.id);
+                  return (
+                    <li key={set.id}>
+                      <button
+                        onClick={() => onToggle(set)}
+                        className={`w-full grid grid-cols-6 gap-2 text-left text-sm py-1 px-2 rounded-sm border-l-2 transition-colors ${
+                          isPicked ? 'bg-edc-purple/30 border-edc-pink' : 'bg-black/30 border-transparent hover:bg-black/50'
+                        }`}
+                        aria-pressed={isPicked}
+                      >
+                        <span className="text-white/70 text-xs col-span-2">
+                          {isSearching && <span className="text-edc-purple mr-1">{formatFestivalDayLabel(festivalDays.find(day => day.id === set.day))}</span>}
+                          {format(parseISO(set.start), 'h:mm a')}
+                          {set.end && ` - ${format(parseISO(set.end), 'h:mm a')}`}
+                        </span>
+                        <span className={`col-span-3 truncate ${isPicked ? 'text-edc-pink font-medium' : 'text-white'}`}>{set.artist}</span>
+                        <span className="text-right text-edc-pink">{isPicked ? '✓' : ''}</span>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LineupPicker;
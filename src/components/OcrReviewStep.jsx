@@ -0,0 +1,97 @@
+import React from 'react';
+import { format } from 'date-fns';
+import { LOW_CONFIDENCE } from '../utils/ocrConfidence';
+
+/**
+ * Get the input style for a field, highlighting fields OCR was unsure of
+ * @param {number} confidence - Tesseract confidence from 0 to 100
+ * @returns {string} - Tailwind classes
+ */
+const getFieldClass = (confidence) => {
+  const base = 'bg-black/80 rounded px-2 py-1 text-xs w-full border';
+  return confidence < LOW_CONFIDENCE
+    ? `${base} border-yellow-400 text-yellow-200`
+    : `${base} border-edc-purple/30 text-white`;
+};
+
+/**
+ * Review step for sets read from screenshots, shown before they are added to the schedule
+ * Fields OCR was unsure of are highlighted next to the part of the image they came from
+ * @param {Object} props - Component props
+ * @param {Array} props.entries - Entries with set, confidence ({ artist, stage, time } from 0 to 100) and snippet data URL
+ * @param {Function} props.onChange - Function to call with an entry index and { artist } or { stage } updates
+ * @param {Function} props.onTimeChange - Function to call with an entry index and a new start time in HH:mm format
+ * @param {Function} props.onRemove - Function to call with the index of an entry to drop
+ * @param {Function} props.onConfirm - Function to call to add the reviewed sets to the schedule
+ * @param {Function} props.onDiscard - Function to call to drop every entry
+ */
+const OcrReviewStep = ({ entries, onChange, onTimeChange, onRemove, onConfirm, onDiscard }) => {
+  if (!entries || entries.length === 0) return null;
+
+  const shakyCount = entries.filter(entry => (
+    Object.values(entry.confidence).some(confidence => confidence < LOW_CONFIDENCE)
+  )).length;
+
+  return (
+    <div className="mt-4 bg-black/60 p-3 rounded-md border border-yellow-400/50">
+      <div className="flex justify-between items-center mb-1">
+        <h3 className="text-edc-blue text-sm font-medium">Check the Sets We Read</h3>
+        <span className="text-xs text-edc-pink">{entries.length} sets</span>
+      </div>
+      <p className="text-white/50 text-xs mb-3">
+        {shakyCount > 0
+          ? `${shakyCount} ${shakyCount === 1 ? 'set has' : 'sets have'} fields highlighted in yellow that may have been misread. Compare them with the screenshot and fix any mistakes.`
+          : 'Everything was read clearly. Give it a quick look, then add the sets.'}
+      </p>
+
+      <ul className="space-y-2">
+        {entries.map((entry, idx) => (
+          <li key={idx} className="bg-black/40 rounded-md border border-edc-purple/20 p-2">
+            {entry.snippet ? (
+              <img src={entry.snippet} alt={`Where ${entry.set.artist} was read from`} className="max-w-full max-h-24 mb-2 rounded-sm bg-white" />
+            ) : (
+              <p className="text-yellow-200/70 text-xs italic mb-2">Could not find this set on the screenshot</p>
+            )}
+            <div className="grid grid-cols-1 gap-2 md:grid-cols-7 items-center">
+              <input
+                type="text"
+                value={entry.set.artist}
+                onChange={(e) => onChange(idx, { artist: e.target.value })}
+                className={`${getFieldClass(entry.confidence.artist)} md:col-span-3`}
+                title={`Artist read with ${entry.confidence.artist}% confidence`}
+              />
+              <input
+                type="text"
+                value={entry.set.stage}
+                onChange={(e) => onChange(idx, { stage: e.target.value })}
+                className={`${getFieldClass(entry.confidence.stage)} md:col-span-2`}
+                title={`Stage read with ${entry.confidence.stage}% confidence`}
+              />
+              <input
+                type="time"
+                value={format(new Date(entry.set.start), 'HH:mm')}
+                onChange={(e) => onTimeChange(idx, e.target.value)}
+                className={getFieldClass(entry.confidence.time)}
+                title={`Start time read with ${entry.confidence.time}% confidence`}
+              />
+              <button onClick={() => onRemove(idx)} className="text-red-400 hover:text-red-300 text-xs" title="Not a set">
+                ✕
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex justify-end items-center mt-3 text-xs">
+        <button onClick={onDiscard} className="text-white/50 hover:text-white/70 mr-4">
+          Discard All
+        </button>
+        <button onClick={onConfirm} className="bg-gradient-to-r from-edc-purple to-edc-pink text-white font-medium px-3 py-1 rounded-md">
+          Add {entries.length} {entries.length === 1 ? 'Set' : 'Sets'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OcrReviewStep;
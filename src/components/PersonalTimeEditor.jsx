@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { format } from 'date-fns';
+import { createPersonalBlock, placePresenceTime } from '../utils/personalTime';
+
+/**
+ * Convert an ISO string to an HH:mm value for a time input
+ * @param {string} time - ISO string
+ * @returns {string} - Time in HH:mm format, or an empty string
+ */
+const toInputTime = (time) => (time ? format(new Date(time), 'HH:mm') : '');
+
+/**
+ * Editor for a friend's arrival and departure times and personal busy blocks on one festival day
+ * @param {Object} props - Component props
+ * @param {Object} props.day - Festival day being edited
+ * @param {Array} props.blocks - Personal busy blocks on every day
+ * @param {Object} props.presence - Arrival and departure times by day id
+ * @param {Function} props.onChange - Function to call with the updated { blocks, presence }
+ */
+const PersonalTimeEditor = ({ day, blocks = [], presence = {}, onChange }) => {
+  const [newBlock, setNewBlock] = useState({ label: '', start: '', end: '' });
+  const [error, setError] = useState('');
+
+  if (!day) return null;
+
+  const dayPresence = presence[day.id] || {};
+  const dayBlocks = blocks.filter(block => block.day === day.id);
+
+  const updatePresence = (field, time) => {
+    const updated = { ...dayPresence, [field]: placePresenceTime(day, time) };
+    if (updated.arriveAt && updated.leaveAt && new Date(updated.leaveAt) <= new Date(updated.arriveAt)) {
+      setError('Leave time must be after arrival time');
+      return;
+    }
+
+    setError('');
+    onChange({ blocks, presence: { ...presence, [day.id]: updated } });
+  };
+
+  const addBlock = () => {
+    const block = createPersonalBlock(day, newBlock.label, newBlock.start, newBlock.end);
+    if (!block) {
+      setError('Busy blocks need a start and an end time after it');
+      return;
+    }
+
+    setError('');
+    setNewBlock({ label: '', start: '', end: '' });
+    onChange({ blocks: [...blocks, block], presence });
+  };
+
+  const removeBlock = (block) => {
+    onChange({ blocks: blocks.filter(other => other !== block), presence });
+  };
+
+  const inputClass = 'bg-black/80 border border-edc-purple/30 rounded px-2 py-1 text-white text-xs';
+
+  return (
+    <div className="mt-3 bg-black/60 p-3 rounded-md border border-dashed border-white/30">
+      <h3 className="text-white/80 text-sm font-medium mb-2">Personal Time</h3>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs text-white/70 mb-2">
+        <label className="flex items-center">
+          <span className="mr-1">Arrive</span>
+          <input
+            type="time"
+            value={toInputTime(dayPresence.arriveAt)}
+            onChange={(e) => updatePresence('arriveAt', e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center">
+          <span className="mr-1">Leave</span>
+          <input
+            type="time"
+            value={toInputTime(dayPresence.leaveAt)}
+            onChange={(e) => updatePresence('leaveAt', e.target.value)}
+            className={inputClass}
+          />
+        </label>
+        <span className="text-white/40">Leave empty if here all day</span>
+      </div>
+
+      {dayBlocks.length > 0 && (
+        <ul className="space-y-1 mb-2">
+          {dayBlocks.map((block, idx) => (
+            <li key={idx} className="flex justify-between items-center text-xs text-white/70 italic px-2 py-1 border border-dashed border-white/20 rounded-sm">
+              <span>{block.label}: {format(new Date(block.start), 'h:mm a')} - {format(new Date(block.end), 'h:mm a')}</span>
+              <button onClick={() => removeBlock(block)} className="text-red-400 hover:text-red-300 not-italic" title="Remove">
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="grid grid-cols-1 gap-2 md:grid-cols-4">
+        <input
+          type="text"
+          placeholder="Busy with (e.g. Dinner, Shuttle)"
+          value={newBlock.label}
+          onChange={(e) => setNewBlock({ ...newBlock, label: e.target.value })}
+          className={`${inputClass} md:col-span-2`}
+        />
+        <input
+          type="time"
+          value={newBlock.start}
+          onChange={(e) => setNewBlock({ ...newBlock, start: e.target.value })}
+          className={inputClass}
+        />
+        <input
+          type="time"
+          value={newBlock.end}
+          onChange={(e) => setNewBlock({ ...newBlock, end: e.target.value })}
+          className={inputClass}
+        />
+      </div>
+      <div className="flex justify-between items-center mt-2">
+        {error ? <span className="text-red-400 text-xs">{error}</span> : <span />}
+        <button onClick={addBlock} className="text-edc-blue hover:text-edc-purple text-xs font-medium">
+          Add Busy Block
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PersonalTimeEditor;
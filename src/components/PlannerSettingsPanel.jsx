@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { PLANNER_SETTING_LIMITS } from '../utils/plannerSettings';
+
+// Settings shown in the panel, in display order
+const SETTING_FIELDS = [
+  { key: 'meetupLength', label: 'Meetup length', unit: 'min', step: 5 },
+  { key: 'minSharedGap', label: 'Minimum shared gap', unit: 'min', step: 5 },
+  { key: 'maxMeetupLength', label: 'Longest meetup window', unit: 'min', step: 15 },
+  { key: 'travelBuffer', label: 'Travel buffer before a set', unit: 'min', step: 5 },
+  { key: 'defaultWalkTime', label: 'Walk between stages (if not set)', unit: 'min', step: 5 },
+  { key: 'defaultSetDuration', label: 'Sets without an end time last', unit: 'min', step: 5 },
+  { key: 'maxSuggestions', label: 'Number of suggestions', unit: '', step: 1 }
+];
+
+/**
+ * Collapsible panel for adjusting how meetup times are calculated
+ * @param {Object} props - Component props
+ * @param {Object} props.settings - Current planner settings
+ * @param {Function} props.onChange - Function to call with the changed settings
+ */
+const PlannerSettingsPanel = ({ settings, onChange }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  return (
+    <div className="bg-black bg-opacity-60 rounded-md p-3 border border-edc-purple/50">
+      <div className="flex justify-between items-center">
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="text-edc-blue/90 text-sm font-medium hover:text-edc-blue"
+        >
+          Planner Settings {isExpanded ? '▾' : '▸'}
+        </button>
+        <span className="text-xs text-white/50 truncate ml-2">
+          {settings.meetupLength} min meetups • {settings.minSharedGap}+ min gaps • {settings.maxSuggestions} suggestions
+        </span>
+      </div>
+
+      {isExpanded && (
+        <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-2">
+          {SETTING_FIELDS.map(field => (
+            <label key={field.key} className="flex items-center justify-between text-xs text-white/70 bg-black/40 rounded px-2 py-1">
+              <span>{field.label}</span>
+              <span className="flex items-center">
+                {/* Commit on blur so partially typed numbers are not clamped mid-edit, and only
+                    when the value changed, since a change clears the computed suggestions */}
+                <input
+                  key={`${field.key}-${settings[field.key]}`}
+                  type="number"
+                  min={PLANNER_SETTING_LIMITS[field.key].min}
+                  max={PLANNER_SETTING_LIMITS[field.key].max}
+                  step={field.step}
+                  defaultValue={settings[field.key]}
+                  onBlur={(e) => Number(e.target.value) !== settings[field.key] && onChange({ [field.key]: e.target.value })}
+                  onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                  className="w-16 bg-black/80 border border-edc-purple/30 rounded px-1 py-0.5 text-white text-center"
+                />
+                {field.unit && <span className="ml-1 w-6">{field.unit}</span>}
+              </span>
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlannerSettingsPanel;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { format } from 'date-fns';
+import { resolveSetClash } from '../utils/findSetClashes';
+
+/**
+ * Warning panel listing overlapping sets in one schedule, with ways to resolve each clash
+ * @param {Object} props - Component props
+ * @param {Array} props.sets - Array of set objects from a single schedule
+ * @param {Array} props.clashes - Clashes from findSetClashes
+ * @param {Function} props.onResolve - Function to call with the updated sets
+ */
+const SetClashResolver = ({ sets, clashes, onResolve }) => {
+  if (!clashes || clashes.length === 0) return null;
+
+  // Resolve one clash at a time, since resolving changes the set indices
+  const clash = clashes[0];
+  const first = sets[clash.first];
+  const second = sets[clash.second];
+  const resolve = (resolution) => onResolve(resolveSetClash(sets, clash, resolution));
+
+  const buttonClass = 'px-2 py-0.5 rounded border border-edc-blue/30 text-edc-blue hover:border-edc-pink/50 hover:text-edc-pink transition-colors';
+
+  return (
+    <div className="mb-2 bg-red-900/20 border border-red-500/50 rounded-md p-2 space-y-2">
+      <p className="text-red-300 text-xs font-medium">
+        ⚠ {clashes.length === 1 ? '1 clash' : `${clashes.length} clashes`} between overlapping sets
+      </p>
+      <div className="text-xs text-white/80">
+        <p className="mb-1">
+          <span className="text-edc-pink">{first.artist}</span> and <span className="text-edc-pink">{second.artist}</span> overlap
+          for {clash.overlapMinutes} min ({format(clash.overlapStart, 'h:mm a')} - {format(clash.overlapEnd, 'h:mm a')})
+        </p>
+        <div className="flex flex-wrap gap-1">
+          <button onClick={() => resolve('keep-first')} className={buttonClass}>Keep {first.artist}</button>
+          <button onClick={() => resolve('keep-second')} className={buttonClass}>Keep {second.artist}</button>
+          <button onClick={() => resolve('split')} className={buttonClass}>Split the time</button>
+          <button onClick={() => resolve('maybe-first')} className={buttonClass}>{first.artist} is optional</button>
+          <button onClick={() => resolve('maybe-second')} className={buttonClass}>{second.artist} is optional</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SetClashResolver;
@@ -1,12 +1,16 @@
 import React, { useState, useRef } from 'react';
-import { createWorker } from 'tesseract.js';
-import { addHours, setHours, setMinutes } from 'date-fns';
+import { addHours } from 'date-fns';
+import { placeTimeOnFestivalDay } from '../utils/festivalClock';
+import { recognizeImage } from '../utils/ocrService';
 
 /**
  * Component for uploading and processing festival schedule images
  * Supports multiple image uploads and identifies different festival formats
+ * @param {Object} props - Component props
+ * @param {Function} props.onSetsExtracted - Callback function to receive extracted sets
+ * @param {Object} props.festivalDay - Festival day the uploaded screenshot belongs to
  */
-const SetTimeImageUploader = ({ onSetsExtracted }) => {
+const SetTimeImageUploader = ({ onSetsExtracted, festivalDay }) => {
   const [isProcessing, setIsProcessing] = useState(false);
   const [progress, setProgress] = useState(0);
   const [error, setError] = useState('');
@@ -34,36 +38,18 @@ const SetTimeImageUploader = ({ onSetsExtracted }) => {
     reader.readAsDataURL(file);
 
     try {
-      console.log('Starting OCR processing...');
+      console.log('Recognizing text...');
       
-      // Initialize Tesseract worker
-      const worker = await createWorker({
-        logger: m => {
-          console.log('Tesseract status:', m.status, m.progress);
-          if (m.status === 'recognizing text') {
-            setProgress(parseInt(m.progress * 100));
-          }
-        }
-      });
-
-      // Load English language for OCR
-      console.log('Loading language...');
-      await worker.loadLanguage('eng');
-      await worker.initialize('eng');
-
-      // Set image recognition parameters optimized for Festival schedule format
-      console.log('Setting parameters...');
-      await worker.setParameters({
-        tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789:-&@.,()[]{}\'"/_ ',
-        tessedit_pageseg_mode: '3', // Fully automatic page segmentation, but no OSD
-        tessedit_ocr_engine_mode: '2'  // Use LSTM neural network engine
+      // Read the image on the shared OCR workers, with parameters optimized for Festival schedule format
+      const { text } = await recognizeImage(file, {
+        parameters: {
+          tessedit_char_whitelist: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789:-&@.,()[]{}\'"/_ ',
+          tessedit_pageseg_mode: '3', // Fully automatic page segmentation, but no OSD
+          tessedit_ocr_engine_mode: '2'  // Use LSTM neural network engine
+        },
+        onProgress: progress => setProgress(Math.round(progress * 100))
       });
-
-      console.log('Processing complete');
-      console.log('Recognizing text...');
-      const { data: { text } } = await worker.recognize(file);
       console.log('Recognition complete');
-      await worker.terminate();
       
       // Preprocess text to fix common OCR errors
       const preprocessedText = preprocessOcrText(text);
@@ -255,12 +241,9 @@ const SetTimeImageUploader = ({ onSetsExtracted }) => {
         const startHour24 = convertTo24Hour(parseInt(startHour), finalStartMeridiem);
         const endHour24 = convertTo24Hour(parseInt(endHour), finalEndMeridiem);
         
-        // Use current date as the base date
-        const today = new Date();
-        
-        // Create start and end times using date-fns
-        let startTime = setHours(setMinutes(new Date(today), parseInt(startMinute)), startHour24);
-        let endTime = setHours(setMinutes(new Date(today), parseInt(endMinute)), endHour24);
+        // Create start and end times on the festival day
+        let startTime = placeTimeOnFestivalDay(festivalDay, startHour24, parseInt(startMinute));
+        let endTime = placeTimeOnFestivalDay(festivalDay, endHour24, parseInt(endMinute));
         
         // Handle overnight sets
         if (endTime < startTime) {
@@ -269,6 +252,7 @@ const SetTimeImageUploader = ({ onSetsExtracted }) => {
         
         // Add to extracted sets
         extractedSets.push({
+          day: festivalDay ? festivalDay.id : undefined,
           artist: artistName,
           start: startTime.toISOString(),
           end: endTime.toISOString(),
@@ -353,21 +337,18 @@ const SetTimeImageUploader = ({ onSetsExtracted }) => {
           // Convert to 24-hour format using our helper
           const hour24 = convertTo24Hour(parseInt(hours), meridiem);
           
-          // Create start time using date-fns
-          const today = new Date();
-          const startTime = setHours(setMinutes(new Date(today), parseInt(minutes)), hour24);
-          
-          // End time is typically 1 hour later for festivals
-          const endTime = addHours(new Date(startTime), 1);
+          // Create start time on the festival day
+          const startTime = placeTimeOnFestivalDay(festivalDay, hour24, parseInt(minutes));
           
           // Clean up artist name
           const cleanedArtistName = cleanArtistName(artistName || `Artist at ${timeStr}`);
           
-          // Add to extracted sets
+          // Add to extracted sets; only a start time is listed in this format,
+          // so the end is left unknown and the planner's default set length applies
           extractedSets.push({
+            day: festivalDay ? festivalDay.id : undefined,
             artist: cleanedArtistName,
             start: startTime.toISOString(),
-            end: endTime.toISOString(),
             stage: stageName || 'Unknown Stage'
           });
         }
@@ -0,0 +1,72 @@
+import React from 'react';
+import { format } from 'date-fns';
+
+/**
+ * List of sets friends share, with who is going, who could join and a rally point before each
+ * @param {Object} props - Component props
+ * @param {Array} props.sharedSets - Shared sets from findSharedSets
+ * @param {Set} props.plannedKeys - Keys of shared sets already in the meetup plan
+ * @param {Function} props.onGoTogether - Function to call with a shared set to add it to the plan
+ */
+const SharedSetsView = ({ sharedSets, plannedKeys, onGoTogether }) => {
+  if (!sharedSets || sharedSets.length === 0) {
+    return (
+      <p className="text-white/60 text-sm text-center py-6">
+        No sets appear in more than one schedule yet.
+      </p>
+    );
+  }
+
+  const formatTime = (time) => format(new Date(time), 'h:mm a');
+
+  return (
+    <div className="space-y-3">
+      {sharedSets.map(sharedSet => {
+        const isPlanned = plannedKeys.has(sharedSet.key);
+
+        return (
+          <div key={sharedSet.key} className="p-4 rounded-md border border-edc-purple/50 bg-black/70">
+            <div className="flex justify-between items-start">
+              <div>
+                <p className="font-bold text-edc-pink">
+                  {sharedSet.artist}
+                  <span className="ml-2 text-white/70 text-sm font-normal">@ {sharedSet.stage}</span>
+                </p>
+                <p className="text-edc-purple/90 text-sm">
+                  {formatTime(sharedSet.start)} - {formatTime(sharedSet.end)}
+                </p>
+              </div>
+              <button
+                onClick={() => onGoTogether(sharedSet)}
+                disabled={isPlanned}
+                className={`px-3 py-1 rounded-md text-xs font-medium whitespace-nowrap ${
+                  isPlanned
+                    ? 'bg-gray-700 text-white/60 cursor-not-allowed'
+                    : 'bg-gradient-to-r from-edc-pink to-edc-purple text-white hover:opacity-90'
+                }`}
+              >
+                {isPlanned ? 'In plan' : 'Go together'}
+              </button>
+            </div>
+
+            <div className="mt-2 text-sm space-y-1">
+              <p className="text-edc-blue">Going:
+                <span className="text-white ml-1">{sharedSet.going.join(', ')}</span>
+              </p>
+              {sharedSet.couldJoin.length > 0 && (
+                <p className="text-green-400/90 text-xs">
+                  Free to join: {sharedSet.couldJoin.join(', ')}
+                </p>
+              )}
+              <p className="text-white/60 text-xs">
+                Rally point: {formatTime(sharedSet.rallyPoint.start)} - {formatTime(sharedSet.rallyPoint.end)} @ {sharedSet.rallyPoint.location}
+              </p>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default SharedSetsView;
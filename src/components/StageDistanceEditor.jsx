@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { getStagePairKey } from '../utils/stageDistances';
+
+/**
+ * Collapsible matrix for entering walking times between the festival's stages
+ * @param {Object} props - Component props
+ * @param {Array} props.stages - Stage names used in the schedules
+ * @param {Object} props.distances - Walking minutes keyed by stage pair
+ * @param {number} props.defaultWalkTime - Minutes assumed for pairs without an entry
+ * @param {Function} props.onChange - Function to call with two stage names and the new minutes
+ */
+const StageDistanceEditor = ({ stages, distances, defaultWalkTime, onChange }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  if (!stages || stages.length < 2) return null;
+
+  const enteredCount = stages.reduce((count, stageA, idx) => (
+    count + stages.slice(idx + 1).filter(stageB => distances[getStagePairKey(stageA, stageB)] !== undefined).length
+  ), 0);
+  const pairCount = (stages.length * (stages.length - 1)) / 2;
+
+  return (
+    <div className="bg-black bg-opacity-60 rounded-md p-3 border border-edc-purple/50">
+      <div className="flex justify-between items-center">
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="text-edc-blue/90 text-sm font-medium hover:text-edc-blue"
+        >
+          Walking Times {isExpanded ? '▾' : '▸'}
+        </button>
+        <span className="text-xs text-white/50 truncate ml-2">
+          {enteredCount}/{pairCount} stage pairs set • others {defaultWalkTime} min
+        </span>
+      </div>
+
+      {isExpanded && (
+        <div className="mt-3 overflow-x-auto">
+          <p className="text-xs text-white/60 mb-2">
+            Minutes to walk between stages. Leave blank to use {defaultWalkTime} min.
+          </p>
+          <table className="text-xs text-white/70">
+            <thead>
+              <tr>
+                <th></th>
+                {stages.slice(1).map(stage => (
+                  <th key={stage} className="px-1 py-1 font-normal text-edc-blue/80 max-w-[5rem] truncate" title={stage}>
+                    {stage}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {stages.slice(0, -1).map((stageA, rowIdx) => (
+                <tr key={stageA}>
+                  <th className="pr-2 py-1 font-normal text-left text-edc-pink/80 whitespace-nowrap">{stageA}</th>
+                  {stages.slice(1).map((stageB, colIdx) => {
+                    // Walking times are symmetric, so only the upper half of the matrix is editable
+                    if (colIdx < rowIdx) return <td key={stageB}></td>;
+
+                    const minutes = distances[getStagePairKey(stageA, stageB)];
+                    return (
+                      <td key={stageB} className="px-1 py-1 text-center">
+                        {/* Commit on blur so partially typed numbers are not saved mid-edit */}
+                        <input
+                          key={`${stageA}-${stageB}-${minutes}`}
+                          type="number"
+                          min="0"
+                          max="120"
+                          defaultValue={minutes ?? ''}
+                          placeholder={String(defaultWalkTime)}
+                          onBlur={(e) => onChange(stageA, stageB, e.target.value)}
+                          onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+                          className="w-14 bg-black/80 border border-edc-purple/30 rounded px-1 py-0.5 text-white text-center"
+                        />
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StageDistanceEditor;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { format } from 'date-fns';
+import { describeSetSkip } from '../utils/setPriority';
+
+/**
+ * List of single changes that would free up a meetup for the whole group
+ * @param {Object} props - Component props
+ * @param {Array} props.suggestions - Suggestions from findWhatIfMeetups
+ * @param {Function} props.onUse - Function to call with a suggestion to add it to the meetup times
+ */
+const WhatIfSuggestions = ({ suggestions, onUse }) => {
+  if (!suggestions || suggestions.length === 0) return null;
+
+  return (
+    <div className="mb-4 bg-yellow-900/10 border border-yellow-500/40 rounded-md p-3">
+      <p className="text-yellow-300 text-sm font-medium">No time works for everyone yet. What if…</p>
+      <p className="text-xs text-white/50 mb-2">Smallest changes first</p>
+      <ul className="space-y-2">
+        {suggestions.map((suggestion, idx) => (
+          <li key={idx} className="flex justify-between items-center text-xs text-white/80">
+            <span>
+              If {describeSetSkip(suggestion.skips[0])}, all {suggestion.schedules.length} of you are free{' '}
+              <span className="text-edc-pink whitespace-nowrap">
+                {format(suggestion.start, 'h:mm')} - {format(suggestion.end, 'h:mm a')}
+              </span>
+              {suggestion.location && ` @ ${suggestion.location}`}
+            </span>
+            <button
+              onClick={() => onUse(suggestion)}
+              className="ml-2 px-2 py-0.5 rounded border border-edc-blue/30 text-edc-blue hover:border-edc-pink/50 hover:text-edc-pink transition-colors whitespace-nowrap"
+            >
+              Use this
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default WhatIfSuggestions;
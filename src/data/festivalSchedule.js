@@ -1,71 +1,8 @@
 /**
- * Sample festival schedule data
- * This provides a predefined list of artists and set times for users to select from
+ * Festival lineup bundled with the app
+ * Sets with artist, stage, start and end (ISO strings) and optionally the id of their festival
+ * day. When filled in, friends pick their sets from this lineup without loading one first
  */
 
-// No hardcoded festival schedule data. All data is extracted dynamically from user uploads.
+// No bundled lineup. Lineups are loaded from a file or read from screenshots in the app.
 export default [];
-  },
-  {
-    artist: "REZZ",
-    start: "2025-05-29T23:30:00",
-    end: "2025-05-30T01:00:00",
-    stage: "Basspod"
-  },
-  {
-    artist: "Seven Lions",
-    start: "2025-05-30T01:00:00",
-    end: "2025-05-30T02:30:00",
-    stage: "Basspod"
-  },
-  {
-    artist: "Fisher",
-    start: "2025-05-29T21:00:00",
-    end: "2025-05-29T22:30:00",
-    stage: "Neon Garden"
-  },
-  {
-    artist: "Green Velvet",
-    start: "2025-05-29T22:30:00",
-    end: "2025-05-30T00:00:00",
-    stage: "Neon Garden"
-  },
-  {
-    artist: "Adam Beyer",
-    start: "2025-05-30T00:00:00",
-    end: "2025-05-30T02:00:00",
-    stage: "Neon Garden"
-  },
-  {
-    artist: "Camelphat",
-    start: "2025-05-30T02:00:00",
-    end: "2025-05-30T04:00:00",
-    stage: "Neon Garden"
-  },
-  {
-    artist: "Above & Beyond",
-    start: "2025-05-29T22:00:00",
-    end: "2025-05-29T23:30:00",
-    stage: "Quantum Valley"
-  },
-  {
-    artist: "Aly & Fila",
-    start: "2025-05-29T23:30:00",
-    end: "2025-05-30T01:00:00",
-    stage: "Quantum Valley"
-  },
-  {
-    artist: "Markus Schulz",
-    start: "2025-05-30T01:00:00",
-    end: "2025-05-30T02:30:00",
-    stage: "Quantum Valley"
-  },
-  {
-    artist: "Ferry Corsten",
-    start: "2025-05-30T02:30:00",
-    end: "2025-05-30T04:00:00",
-    stage: "Quantum Valley"
-  }
-];
-
-export default festivalSchedule;
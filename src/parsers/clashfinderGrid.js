@@ -0,0 +1,120 @@
+import { placeTimeOnFestivalDay } from '../utils/festivalClock';
+import { getLines } from './ocrText';
+
+// Rows read like "19:00-20:15 Artist" or "Artist 19:00 - 20:15", with 24-hour times
+const TIME_FIRST_ROW = /^(\d{1,2})[:.h](\d{2})(?:\s*-\s*(\d{1,2})[:.h](\d{2}))?\s+(.+)$/i;
+const TIME_LAST_ROW = /^(.+?)\s+(\d{1,2})[:.h](\d{2})(?:\s*-\s*(\d{1,2})[:.h](\d{2}))?$/i;
+
+// Any clock time, used to tell how much of the text is rows
+const ANY_TIME = /\b\d{1,2}[:.]\d{2}\b/;
+
+// Artists can carry their stage as "Artist (Stage)" or "Artist @ Stage"
+const STAGE_SUFFIX = /^(.+?)\s*(?:\(([^)]+)\)|@\s*(.+))$/;
+
+// Day headings are not stages
+const DAY_HEADING = /^(mon|tue|wed|thu|fri|sat|sun)[a-z]*\b/i;
+
+/**
+ * Read a timetable row
+ * @param {string} line - Line of text
+ * @returns {Object|null} - Row with name, start and optional end hours and minutes, or null if not a row
+ */
+const readRow = (line) => {
+  if (/\b[AP]M\b/i.test(line)) return null;
+
+  let row = null;
+  const timeFirst = line.match(TIME_FIRST_ROW);
+  if (timeFirst) {
+    const [, hours, minutes, endHours, endMinutes, name] = timeFirst;
+    row = { name, hours, minutes, endHours, endMinutes };
+  } else {
+    const timeLast = line.match(TIME_LAST_ROW);
+    if (timeLast) {
+      const [, name, hours, minutes, endHours, endMinutes] = timeLast;
+      row = { name, hours, minutes, endHours, endMinutes };
+    }
+  }
+
+  if (!row || parseInt(row.hours) > 23 || (row.endHours && parseInt(row.endHours) > 23)) return null;
+  return row;
+};
+
+/**
+ * Normalize dashes so ranges read the same whichever the source used
+ * @param {string} text - Raw text
+ * @returns {Array} - Lines of text
+ */
+const getGridLines = (text) => getLines(text.replace(/[–—]/g, '-'));
+
+/**
+ * Rate how much text looks like a clashfinder-style timetable: stage headings
+ * followed by rows of 24-hour times and artists
+ * @param {string} text - Raw OCR or pasted text
+ * @returns {number} - Confidence from 0 to 1
+ */
+const detect = (text) => {
+  const lines = getGridLines(text);
+  const timeLines = lines.filter(line => ANY_TIME.test(line)).length;
+  if (timeLines === 0) return 0;
+
+  const rows = lines.filter(line => readRow(line)).length;
+  return 0.9 * (rows / timeLines);
+};
+
+/**
+ * Parse sets from a clashfinder-style timetable
+ * @param {string} text - Raw OCR or pasted text
+ * @param {Object} day - Festival day the timetable belongs to
+ * @returns {Array} - Array of extracted sets
+ */
+const parse = (text, day) => {
+  const sets = [];
+  let currentStage = '';
+
+  getGridLines(text).forEach(line => {
+    const row = readRow(line);
+
+    // Lines without times are stage headings
+    if (!row) {
+      if (!ANY_TIME.test(line) && !DAY_HEADING.test(line) && /[a-z]{3}/i.test(line)) {
+        currentStage = line;
+      }
+      return;
+    }
+
+    const suffix = row.name.match(STAGE_SUFFIX);
+    const artist = (suffix ? suffix[1] : row.name).trim();
+    const stage = (suffix ? suffix[2] || suffix[3] : currentStage).trim();
+    if (artist.length < 2) return;
+
+    const start = placeTimeOnFestivalDay(day, parseInt(row.hours), parseInt(row.minutes));
+    let end = null;
+    if (row.endHours) {
+      end = placeTimeOnFestivalDay(day, parseInt(row.endHours), parseInt(row.endMinutes));
+      if (end <= start) {
+        end.setDate(end.getDate() + 1);
+      }
+    }
+
+    sets.push({
+      artist,
+      stage: stage || 'Unknown Stage',
+      start: start.toISOString(),
+      ...(end && { end: end.toISOString() })
+    });
+  });
+
+  return sets;
+};
+
+/**
+ * Parser for clashfinder-style timetables grouped by stage, with 24-hour times
+ */
+const clashfinderGridParser = {
+  id: 'clashfinder-grid',
+  label: 'Clashfinder timetable',
+  detect,
+  parse
+};
+
+export default clashfinderGridParser;
@@ -0,0 +1,70 @@
+import insomniacListParser from './insomniacList';
+import clashfinderGridParser from './clashfinderGrid';
+import timeRangeListParser from './timeRangeList';
+import layoutGridParser from './layoutGrid';
+
+/**
+ * Registered schedule parsers
+ * Each parser has an id, a label, detect(text, words) returning a confidence from 0 to 1,
+ * and parse(text, day, words) returning sets with artist, stage, start and optional end.
+ * Words are OCR words with text and bbox, for parsers that read the layout; pasted text has none
+ */
+const parsers = [layoutGridParser, insomniacListParser, clashfinderGridParser, timeRangeListParser];
+
+/**
+ * Add a schedule parser to the registry, replacing any with the same id
+ * @param {Object} parser - Parser with id, label, detect and parse
+ */
+export const registerScheduleParser = (parser) => {
+  const idx = parsers.findIndex(existing => existing.id === parser.id);
+  if (idx >= 0) {
+    parsers[idx] = parser;
+  } else {
+    parsers.push(parser);
+  }
+};
+
+/**
+ * Rate every registered parser against some text
+ * @param {string} text - Raw OCR or pasted text
+ * @param {Array} words - OCR words with text and bbox, if the text came from an image
+ * @returns {Array} - Parsers with a confidence above zero, most confident first
+ */
+export const detectScheduleParsers = (text, words = []) => {
+  return parsers
+    .map(parser => {
+      try {
+        return { parser, confidence: parser.detect(text, words) };
+      } catch (error) {
+        console.error(`Schedule parser ${parser.id} failed to detect:`, error);
+        return { parser, confidence: 0 };
+      }
+    })
+    .filter(match => match.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+/**
+ * Parse sets from text with the most confident parser
+ * When the best parser finds no sets the next most confident one is tried
+ * @param {string} text - Raw OCR or pasted text
+ * @param {Object} day - Festival day the text belongs to
+ * @param {Array} words - OCR words with text and bbox, if the text came from an image
+ * @returns {Object} - Object with the sets found and the parser and confidence used (null when nothing matched)
+ */
+const parseScheduleText = (text, day, words = []) => {
+  const matches = detectScheduleParsers(text, words);
+
+  for (const { parser, confidence } of matches) {
+    try {
+      const sets = parser.parse(text, day, words);
+      if (sets.length > 0) return { sets, parser, confidence };
+    } catch (error) {
+      console.error(`Schedule parser ${parser.id} failed to parse:`, error);
+    }
+  }
+
+  return { sets: [], parser: null, confidence: 0 };
+};
+
+export default parseScheduleText;
@@ -0,0 +1,119 @@
+import { TIME_PATTERN, createOcrSetTimes, getLines, preprocessOcrText } from './ocrText';
+
+/**
+ * Check whether a line names a stage
+ * @param {string} line - Line of OCR text
+ * @returns {boolean} - True if the line mentions a stage
+ */
+const isStageLine = (line) => line.toLowerCase().includes('stage');
+
+/**
+ * Rate how much OCR text looks like an Insomniac app list, where each set is
+ * a time line followed by the artist and then the stage
+ * @param {string} text - Raw OCR text
+ * @returns {number} - Confidence from 0 to 1
+ */
+const detect = (text) => {
+  const lines = getLines(preprocessOcrText(text));
+  let timeLines = 0;
+  let listedSets = 0;
+
+  lines.forEach((line, idx) => {
+    if (!TIME_PATTERN.test(line)) return;
+    timeLines++;
+
+    // The artist and stage follow within the next two lines
+    if (lines.slice(idx + 1, idx + 3).some(isStageLine)) listedSets++;
+  });
+
+  return timeLines > 0 ? listedSets / timeLines : 0;
+};
+
+/**
+ * Parse set times from Insomniac app format
+ * @param {string} text - Raw OCR text
+ * @param {Object} day - Festival day the screenshot belongs to
+ * @returns {Array} - Array of extracted sets
+ */
+const parse = (text, day) => {
+  const lines = getLines(preprocessOcrText(text));
+  const sets = [];
+
+  let currentTime = null;
+  let currentEnd = null;
+  let currentArtist = '';
+  let currentStage = '';
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Check for time pattern
+    const timeMatch = line.match(TIME_PATTERN);
+    if (timeMatch) {
+      const [, hours, minutes, ampm, endHours, endMinutes, endAmpm] = timeMatch;
+
+      // Create timestamps for the start and, when listed, the end of the set
+      const times = createOcrSetTimes(day, hours, minutes, ampm, endHours, endMinutes, endAmpm);
+      currentTime = times.start;
+      currentEnd = times.end;
+
+      // Reset the artist and stage
+      currentArtist = '';
+      currentStage = '';
+      continue;
+    }
+
+    // After a time, check for artist and stage info
+    if (currentTime) {
+      // If line contains 'Stage', it's likely a stage name
+      if (isStageLine(line)) {
+        currentStage = line;
+
+        // If we already have an artist, we can create a set
+        if (currentArtist) {
+          sets.push({
+            artist: currentArtist,
+            stage: currentStage,
+            start: currentTime,
+            ...(currentEnd && { end: currentEnd })
+          });
+
+          currentArtist = ''; // Reset for next set
+        }
+      }
+      // If not a stage and not a time, it's likely an artist
+      else if (line.length > 1) {
+        currentArtist = line;
+
+        // Check next line for stage information
+        if (i + 1 < lines.length && isStageLine(lines[i + 1])) {
+          currentStage = lines[i + 1];
+          i++; // Skip the stage line
+
+          sets.push({
+            artist: currentArtist,
+            stage: currentStage,
+            start: currentTime,
+            ...(currentEnd && { end: currentEnd })
+          });
+
+          currentArtist = ''; // Reset for next set
+        }
+      }
+    }
+  }
+
+  return sets;
+};
+
+/**
+ * Parser for the Insomniac app's "My Schedule" list screenshots
+ */
+const insomniacListParser = {
+  id: 'insomniac-list',
+  label: 'Insomniac app list',
+  detect,
+  parse
+};
+
+export default insomniacListParser;
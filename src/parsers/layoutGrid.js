@@ -0,0 +1,382 @@
+import { getFestivalHours, placeTimeOnFestivalDay } from '../utils/festivalClock';
+
+// Time axis labels like "7:00", "19:00", "7PM" or "7:00 PM" (the meridiem can be its own word)
+const TIME_LABEL = /^(\d{1,2})(?::(\d{2}))?(AM|PM)?$/i;
+const MERIDIEM = /^(AM|PM)$/i;
+
+// Start-end ranges printed inside a grid cell
+const TIME_RANGE = /(\d{1,2})[:.](\d{2})\s*(AM|PM)?\s*-\s*(\d{1,2})[:.](\d{2})\s*(AM|PM)?/i;
+
+// A grid needs this many time labels down the side and stage headings across the top
+const MIN_AXIS_LABELS = 3;
+const MIN_STAGES = 2;
+
+// Cells without their own times end when the next cell in the column starts, unless that is further away than this
+const MAX_SET_MINUTES = 180;
+
+// Times read from positions are rounded to this many minutes
+const ROUND_MINUTES = 5;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Get the middle of a bounding box
+ * @param {Object} bbox - Box with x0, y0, x1 and y1
+ * @returns {Object} - Object with x and y
+ */
+const getCenter = (bbox) => ({ x: (bbox.x0 + bbox.x1) / 2, y: (bbox.y0 + bbox.y1) / 2 });
+
+/**
+ * Get the smallest box around several boxes
+ * @param {Array} boxes - Boxes with x0, y0, x1 and y1
+ * @returns {Object} - Box around all of them
+ */
+const mergeBoxes = (boxes) => ({
+  x0: Math.min(...boxes.map(box => box.x0)),
+  y0: Math.min(...boxes.map(box => box.y0)),
+  x1: Math.max(...boxes.map(box => box.x1)),
+  y1: Math.max(...boxes.map(box => box.y1))
+});
+
+/**
+ * Group words into lines of text, top to bottom, each read left to right
+ * @param {Array} words - OCR words with text and bbox
+ * @returns {Array} - Lines with their words, text and bbox
+ */
+const groupIntoLines = (words) => {
+  const lines = [];
+
+  [...words]
+    .sort((a, b) => getCenter(a.bbox).y - getCenter(b.bbox).y)
+    .forEach(word => {
+      const centerY = getCenter(word.bbox).y;
+      const line = lines.find(candidate => centerY >= candidate.bbox.y0 && centerY <= candidate.bbox.y1);
+      if (line) {
+        line.words.push(word);
+        line.bbox = mergeBoxes([line.bbox, word.bbox]);
+      } else {
+        lines.push({ words: [word], bbox: { ...word.bbox } });
+      }
+    });
+
+  return lines.map(line => {
+    const sorted = line.words.sort((a, b) => a.bbox.x0 - b.bbox.x0);
+    return { ...line, words: sorted, text: sorted.map(word => word.text).join(' ') };
+  });
+};
+
+/**
+ * Split a line into phrases wherever there is a gap wider than the line is tall
+ * @param {Object} line - Line from groupIntoLines
+ * @returns {Array} - Phrases with text and bbox
+ */
+const splitIntoPhrases = (line) => {
+  const gap = line.bbox.y1 - line.bbox.y0;
+  const phrases = [];
+
+  line.words.forEach(word => {
+    const previous = phrases[phrases.length - 1];
+    if (previous && word.bbox.x0 - previous.bbox.x1 <= gap) {
+      previous.words.push(word);
+      previous.bbox = mergeBoxes([previous.bbox, word.bbox]);
+    } else {
+      phrases.push({ words: [word], bbox: { ...word.bbox } });
+    }
+  });
+
+  return phrases.map(phrase => ({ ...phrase, text: phrase.words.map(word => word.text).join(' ') }));
+};
+
+/**
+ * Get the possible minutes after midnight for a clock time that may lack AM/PM
+ * @param {number} hours - Hours as printed
+ * @param {number} minutes - Minutes
+ * @param {string} meridiem - AM, PM or undefined
+ * @returns {Array} - Candidate minutes after midnight
+ */
+const getClockCandidates = (hours, minutes, meridiem) => {
+  if (meridiem) {
+    const hour24 = (hours % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+    return [hour24 * 60 + minutes];
+  }
+  if (hours > 12) return [hours * 60 + minutes];
+  return [(hours % 12) * 60 + minutes, ((hours % 12) + 12) * 60 + minutes];
+};
+
+/**
+ * Pick the reading of a clock time closest to an estimate, allowing for times past midnight
+ * @param {Array} candidates - Candidate minutes after midnight
+ * @param {number} estimate - Expected minutes after the first midnight
+ * @returns {number} - Minutes after the first midnight
+ */
+const resolveNearest = (candidates, estimate) => {
+  const options = candidates.flatMap(value => [value - MINUTES_PER_DAY, value, value + MINUTES_PER_DAY]);
+  return options.reduce((best, value) => (Math.abs(value - estimate) < Math.abs(best - estimate) ? value : best));
+};
+
+/**
+ * Find the time labels among the words, joining a number with a separate AM/PM word after it
+ * @param {Array} lines - Lines from groupIntoLines
+ * @returns {Array} - Labels with candidate minutes, bbox and the words they were read from
+ */
+const findTimeLabels = (lines) => {
+  const labels = [];
+
+  lines.forEach(line => {
+    line.words.forEach((word, idx) => {
+      const match = word.text.match(TIME_LABEL);
+      if (!match) return;
+
+      const next = line.words[idx + 1];
+      const meridiem = match[3] || (next && MERIDIEM.test(next.text) ? next.text : undefined);
+      if (!match[2] && !meridiem) return;
+
+      const hours = parseInt(match[1]);
+      const minutes = parseInt(match[2] || '0');
+      if (hours > 23 || minutes > 59) return;
+
+      const words = match[3] || !meridiem ? [word] : [word, next];
+      labels.push({
+        candidates: getClockCandidates(hours, minutes, meridiem),
+        bbox: mergeBoxes(words.map(labelWord => labelWord.bbox)),
+        words
+      });
+    });
+  });
+
+  return labels;
+};
+
+/**
+ * Find the column of time labels down the side of the grid and fit a line from
+ * vertical position to minutes after midnight
+ * @param {Array} labels - Labels from findTimeLabels
+ * @param {number} gatesOpen - Minutes after midnight the day starts, to read the top label without AM/PM
+ * @returns {Object|null} - Axis with its labels, bbox and a toMinutes(y) function, or null if there is none
+ */
+const findTimeAxis = (labels, gatesOpen) => {
+  // Labels stacked in the same column share most of their horizontal extent
+  const columns = [];
+  labels.forEach(label => {
+    const centerX = getCenter(label.bbox).x;
+    const column = columns.find(candidate => centerX >= candidate.bbox.x0 && centerX <= candidate.bbox.x1);
+    if (column) {
+      column.labels.push(label);
+      column.bbox = mergeBoxes([column.bbox, label.bbox]);
+    } else {
+      columns.push({ labels: [label], bbox: { ...label.bbox } });
+    }
+  });
+
+  // The axis runs down the left; cells with printed times can form columns of labels further right
+  const column = columns
+    .filter(candidate => candidate.labels.length >= MIN_AXIS_LABELS)
+    .sort((a, b) => a.bbox.x0 - b.bbox.x0)[0];
+  if (!column) return null;
+
+  // Read the labels top to bottom, the first as the reading nearest the gates opening
+  // and each after it as the first reading later than the one above
+  const points = [];
+  column.labels
+    .sort((a, b) => getCenter(a.bbox).y - getCenter(b.bbox).y)
+    .forEach(label => {
+      if (points.length === 0) {
+        points.push({ y: getCenter(label.bbox).y, minutes: resolveNearest(label.candidates, gatesOpen) });
+        return;
+      }
+
+      const previous = points[points.length - 1].minutes;
+      const readings = label.candidates
+        .flatMap(value => [value, value + MINUTES_PER_DAY, value + 2 * MINUTES_PER_DAY])
+        .filter(value => value > previous);
+      if (readings.length === 0) return;
+      points.push({ y: getCenter(label.bbox).y, minutes: Math.min(...readings) });
+    });
+
+  if (points.length < MIN_AXIS_LABELS) return null;
+
+  // Least squares fit of minutes against position
+  const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+  const meanMinutes = points.reduce((sum, point) => sum + point.minutes, 0) / points.length;
+  const spread = points.reduce((sum, point) => sum + (point.y - meanY) ** 2, 0);
+  if (spread === 0) return null;
+  const slope = points.reduce((sum, point) => sum + (point.y - meanY) * (point.minutes - meanMinutes), 0) / spread;
+  if (slope <= 0) return null;
+
+  return {
+    labels: column.labels,
+    bbox: column.bbox,
+    toMinutes: (y) => meanMinutes + slope * (y - meanY)
+  };
+};
+
+/**
+ * Find the stage headings across the top of the grid: the lowest line above the first
+ * time label that splits into enough separate phrases
+ * @param {Array} lines - Lines from groupIntoLines
+ * @param {Object} axis - Axis from findTimeAxis
+ * @returns {Object|null} - Heading line bbox and stages with name and x position, or null if there are none
+ */
+const findStageHeadings = (lines, axis) => {
+  const headingLines = lines
+    .filter(line => line.bbox.y1 <= axis.bbox.y0)
+    .map(line => ({
+      bbox: line.bbox,
+      phrases: splitIntoPhrases(line).filter(phrase => phrase.bbox.x0 >= axis.bbox.x1)
+    }))
+    .filter(line => line.phrases.length >= MIN_STAGES);
+  if (headingLines.length === 0) return null;
+
+  const headingLine = headingLines[headingLines.length - 1];
+  return {
+    bbox: headingLine.bbox,
+    stages: headingLine.phrases.map(phrase => ({ name: phrase.text, x: getCenter(phrase.bbox).x }))
+  };
+};
+
+/**
+ * Work out the grid's time axis, stages and the words in each stage's column
+ * @param {Array} words - OCR words with text and bbox
+ * @param {Object} day - Festival day the timetable belongs to
+ * @returns {Object|null} - Grid with axis, stages and a column of words per stage, or null if the words are not a grid
+ */
+const readGrid = (words, day) => {
+  const usable = (words || []).filter(word => word.bbox && word.text && word.text.trim());
+  if (usable.length === 0) return null;
+
+  const lines = groupIntoLines(usable);
+  const axis = findTimeAxis(findTimeLabels(lines), getFestivalHours(day).gatesOpen);
+  if (!axis) return null;
+
+  const headings = findStageHeadings(lines, axis);
+  if (!headings) return null;
+
+  // Every word below the headings and right of the axis belongs to the nearest stage's column
+  const axisWords = new Set(axis.labels.flatMap(label => label.words));
+  const columns = headings.stages.map(() => []);
+  usable.forEach(word => {
+    if (axisWords.has(word) || word.bbox.y0 < headings.bbox.y1 || word.bbox.x0 < axis.bbox.x1) return;
+
+    const centerX = getCenter(word.bbox).x;
+    let nearest = 0;
+    headings.stages.forEach((stage, idx) => {
+      if (Math.abs(stage.x - centerX) < Math.abs(headings.stages[nearest].x - centerX)) nearest = idx;
+    });
+    columns[nearest].push(word);
+  });
+
+  return { axis, stages: headings.stages, columns };
+};
+
+/**
+ * Group a column's words into cells, splitting where the gap between lines is taller than a line
+ * @param {Array} words - Words in one stage's column
+ * @returns {Array} - Cells with text, bbox and the middle of their first line, top to bottom
+ */
+const groupIntoCells = (words) => {
+  const cells = [];
+
+  groupIntoLines(words).forEach(line => {
+    const previous = cells[cells.length - 1];
+    const lineHeight = line.bbox.y1 - line.bbox.y0;
+    if (previous && line.bbox.y0 - previous.bbox.y1 <= lineHeight) {
+      previous.text = `${previous.text} ${line.text}`;
+      previous.bbox = mergeBoxes([previous.bbox, line.bbox]);
+    } else {
+      cells.push({ text: line.text, bbox: line.bbox, firstLineY: getCenter(line.bbox).y });
+    }
+  });
+
+  return cells;
+};
+
+/**
+ * Place minutes after the first midnight onto the festival day
+ * @param {Object} day - Festival day
+ * @param {number} minutes - Minutes after midnight, past 1440 for the early hours
+ * @returns {Date} - The absolute date and time
+ */
+const placeMinutes = (day, minutes) => {
+  const clock = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return placeTimeOnFestivalDay(day, Math.floor(clock / 60), clock % 60);
+};
+
+/**
+ * Rate how much an OCR result looks like a grid timetable with stages as columns
+ * @param {string} text - Raw OCR text (unused, the layout is read from the words)
+ * @param {Array} words - OCR words with text and bbox
+ * @returns {number} - Confidence from 0 to 1
+ */
+const detect = (text, words) => (readGrid(words, null) ? 0.95 : 0);
+
+/**
+ * Parse sets from a grid timetable: stage headings across the top, times down the
+ * side and each set's cell placed under its stage at its start time
+ * @param {string} text - Raw OCR text (unused, the layout is read from the words)
+ * @param {Object} day - Festival day the timetable belongs to
+ * @param {Array} words - OCR words with text and bbox
+ * @returns {Array} - Array of extracted sets
+ */
+const parse = (text, day, words) => {
+  const grid = readGrid(words, day);
+  if (!grid) return [];
+
+  const sets = [];
+  grid.stages.forEach((stage, idx) => {
+    const cells = groupIntoCells(grid.columns[idx]).map(cell => {
+      // Time labels sit level with the first line of the cells that start at them
+      const estimate = grid.axis.toMinutes(cell.firstLineY);
+      const range = cell.text.match(TIME_RANGE);
+
+      // Times printed in the cell win over its position
+      if (range) {
+        const [match, hours, minutes, ampm, endHours, endMinutes, endAmpm] = range;
+        const start = resolveNearest(getClockCandidates(parseInt(hours), parseInt(minutes), ampm || endAmpm), estimate);
+        let end = resolveNearest(getClockCandidates(parseInt(endHours), parseInt(endMinutes), endAmpm), start);
+        if (end <= start) end += MINUTES_PER_DAY;
+        return { artist: cell.text.replace(match, '').trim(), start, end };
+      }
+
+      return {
+        artist: cell.text.trim(),
+        start: Math.round(estimate / ROUND_MINUTES) * ROUND_MINUTES,
+        end: null
+      };
+    });
+
+    cells.forEach((cell, cellIdx) => {
+      if (cell.artist.replace(/[^a-z0-9]/gi, '').length < 2) return;
+
+      // Without printed times the set runs until the next one on the stage
+      let end = cell.end;
+      const next = cells[cellIdx + 1];
+      if (end === null && next && next.start > cell.start && next.start - cell.start <= MAX_SET_MINUTES) {
+        end = next.start;
+      }
+
+      const start = placeMinutes(day, cell.start);
+      const endDate = end === null ? null : new Date(start.getTime() + (end - cell.start) * 60 * 1000);
+      sets.push({
+        artist: cell.artist,
+        stage: stage.name,
+        start: start.toISOString(),
+        ...(endDate && { end: endDate.toISOString() })
+      });
+    });
+  });
+
+  return sets;
+};
+
+/**
+ * Parser for official grid timetables, read from the position of each word
+ * rather than the flattened text
+ */
+const layoutGridParser = {
+  id: 'layout-grid',
+  label: 'Grid timetable',
+  detect,
+  parse
+};
+
+export default layoutGridParser;
@@ -0,0 +1,88 @@
+import { placeTimeOnFestivalDay } from '../utils/festivalClock';
+
+/**
+ * A 12-hour time, optionally followed by the end of a start-end range
+ */
+export const TIME_PATTERN = /(\d{1,2})[:.]?(\d{2})\s*(AM|PM)(?:\s*-\s*(\d{1,2})[:.]?(\d{2})\s*(AM|PM))?/i;
+
+/**
+ * Normalize a time or time range matched in OCR text onto its own line
+ * A range keeps its start and end together so parsers can read the set's end time
+ * @returns {string} - Replacement text for the match
+ */
+const formatOcrTime = (match, hours, minutes, ampm, endHours, endMinutes, endAmpm) => {
+  const toMeridiem = (value) => (value.toUpperCase().startsWith('A') ? 'AM' : 'PM');
+
+  if (endHours) {
+    const endMeridiem = toMeridiem(endAmpm);
+
+    // A range like "11:30 - 1:00 AM" starts on the other side of midnight/noon
+    let startMeridiem = ampm ? toMeridiem(ampm) : endMeridiem;
+    if (!ampm && parseInt(hours) % 12 > parseInt(endHours) % 12) {
+      startMeridiem = endMeridiem === 'AM' ? 'PM' : 'AM';
+    }
+
+    return `\n${hours}:${minutes} ${startMeridiem} - ${endHours}:${endMinutes} ${endMeridiem}\n`;
+  }
+
+  // Leave bare numbers without AM/PM untouched
+  if (!ampm) return match;
+
+  return `\n${hours}:${minutes} ${toMeridiem(ampm)}\n`;
+};
+
+/**
+ * Preprocess OCR text to improve extraction accuracy
+ * @param {string} text - Raw OCR text
+ * @returns {string} - Preprocessed text
+ */
+export const preprocessOcrText = (text) => {
+  return text
+    .replace(/\\n/g, '\n')
+    .replace(/[^\w\s.:@\-\n]/g, '')  // Remove unwanted symbols
+    .replace(/([0-9])l([0-9])/g, '$1:$2')  // "10l30" -> "10:30"
+    .replace(/([0-9])I([0-9])/g, '$1:$2')  // "10I30" -> "10:30"
+    .replace(/([0-9]);([0-9])/g, '$1:$2')  // "10;30" -> "10:30"
+    .replace(/([0-9])\.([0-9])/g, '$1:$2')  // "10.30" -> "10:30"
+    .replace(/(\d+)[:\s](\d+)([ap]m)/gi, '$1:$2 $3')  // Format times consistently
+    .replace(/\b(\d+):(\d+)\s*(?:([AP]M?)\b)?(?:\s*-\s*(\d+):(\d+)\s*([AP]M?)\b)?/gi, formatOcrTime)  // Add linebreaks around times and time ranges
+    .replace(/\b(village|forbidden|cosmic|kinetic|circuit|neon)\s*stage\b/gi, '\n$1 Stage\n')  // Add linebreaks around stages
+    .replace(/[ \t]{2,}/g, ' ')  // Replace multiple spaces with single space, keeping the linebreaks
+    .trim();
+};
+
+/**
+ * Split text into trimmed, non-empty lines
+ * @param {string} text - Text to split
+ * @returns {Array} - Array of lines
+ */
+export const getLines = (text) => text.split('\n').map(line => line.trim()).filter(line => line);
+
+/**
+ * Create ISO timestamps for a set from OCR time components
+ * Sets ending after midnight roll the end time over to the next day
+ * @param {Object} day - Festival day the set belongs to
+ * @returns {Object} - Object with a start and, when an end time was read, an end ISO string
+ */
+export const createOcrSetTimes = (day, hours, minutes, ampm, endHours, endMinutes, endAmpm) => {
+  // Convert a 12-hour time onto the festival day
+  const toDate = (h, m, meridiem) => {
+    let hour24 = parseInt(h);
+    if (meridiem.toUpperCase() === 'PM' && hour24 < 12) hour24 += 12;
+    if (meridiem.toUpperCase() === 'AM' && hour24 === 12) hour24 = 0;
+
+    return placeTimeOnFestivalDay(day, hour24, parseInt(m));
+  };
+
+  const start = toDate(hours, minutes, ampm);
+  if (!endHours || !endAmpm) {
+    return { start: start.toISOString(), end: null };
+  }
+
+  const end = toDate(endHours, endMinutes, endAmpm);
+  if (end <= start) {
+    end.setDate(end.getDate() + 1);
+  }
+
+  return { start: start.toISOString(), end: end.toISOString() };
+};
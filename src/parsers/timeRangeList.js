@@ -0,0 +1,81 @@
+import { TIME_PATTERN, createOcrSetTimes, getLines, preprocessOcrText } from './ocrText';
+
+// Highest confidence this catch-all parser reports, so any parser that
+// recognises the layout wins over it
+const MAX_CONFIDENCE = 0.4;
+
+/**
+ * Rate how much OCR text looks like a list of 12-hour times with artists after them
+ * @param {string} text - Raw OCR text
+ * @returns {number} - Confidence from 0 to 1
+ */
+const detect = (text) => {
+  const lines = getLines(preprocessOcrText(text));
+  const timeLines = lines.filter(line => TIME_PATTERN.test(line)).length;
+  if (timeLines === 0 || timeLines === lines.length) return 0;
+
+  return MAX_CONFIDENCE * Math.min(1, timeLines / 2);
+};
+
+/**
+ * Extract sets from any text where each artist follows a time, picking up
+ * stage names wherever they appear
+ * @param {string} text - Raw OCR text
+ * @param {Object} day - Festival day the screenshot belongs to
+ * @returns {Array} - Array of extracted sets
+ */
+const parse = (text, day) => {
+  const extractedSets = [];
+  const lines = getLines(preprocessOcrText(text));
+
+  let currentStage = '';
+  let currentTime = '';
+  let currentEnd = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Check if line contains a time
+    const timeMatch = line.match(TIME_PATTERN);
+    if (timeMatch) {
+      // Extract hours, minutes, and AM/PM for the start and optional end
+      const [, hours, minutes, ampm, endHours, endMinutes, endAmpm] = timeMatch;
+
+      // Create timestamps
+      const times = createOcrSetTimes(day, hours, minutes, ampm, endHours, endMinutes, endAmpm);
+      currentTime = times.start;
+      currentEnd = times.end;
+      continue;
+    }
+
+    // Check if line contains a stage
+    if (line.toLowerCase().includes('stage')) {
+      currentStage = line;
+      continue;
+    }
+
+    // If we have a time and a line that's not a time or stage, it's probably an artist
+    if (currentTime && line.length > 2) {
+      extractedSets.push({
+        artist: line,
+        stage: currentStage || 'Unknown Stage',
+        start: currentTime,
+        ...(currentEnd && { end: currentEnd })
+      });
+    }
+  }
+
+  return extractedSets;
+};
+
+/**
+ * Catch-all parser for text with 12-hour times followed by artist names
+ */
+const timeRangeListParser = {
+  id: 'time-range-list',
+  label: 'Time list',
+  detect,
+  parse
+};
+
+export default timeRangeListParser;
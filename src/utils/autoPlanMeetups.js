@@ -0,0 +1,125 @@
+import getBusyWindow from './getBusyWindow';
+import { DEFAULT_PLANNER_SETTINGS } from './plannerSettings';
+import { getMeetupAttendees } from './rankMeetups';
+
+/**
+ * Get the stretches a friend goes without seeing the group during their day
+ * @param {Object} span - Friend's day with start and end timestamps
+ * @param {Array} checkIns - Meetups the friend attends, with start and end dates
+ * @returns {Array} - Stretch lengths in minutes
+ */
+const getStretches = (span, checkIns) => {
+  const sorted = [...checkIns].sort((a, b) => new Date(a.start) - new Date(b.start));
+  const stretches = [];
+  let cursor = span.start;
+
+  sorted.forEach(meetup => {
+    const start = new Date(meetup.start).getTime();
+    const end = new Date(meetup.end).getTime();
+    stretches.push(Math.max(0, start - cursor) / (60 * 1000));
+    cursor = Math.max(cursor, end);
+  });
+  stretches.push(Math.max(0, span.end - cursor) / (60 * 1000));
+
+  return stretches;
+};
+
+/**
+ * Choose a set of meetups for each festival day so every friend regularly sees the group
+ * Meetups are picked one at a time, each time taking the one that most reduces
+ * the time friends go without a check-in beyond the limit
+ * @param {Array} gaps - Candidate meetup gaps from findSharedGaps (ranked, with scores)
+ * @param {Array} schedules - Array of schedule objects with name and sets
+ * @param {Object} options - Planning constraints
+ * @param {number} options.checkInHours - Longest a friend should go without seeing the group, in hours
+ * @param {number} options.maxMeetupsPerDay - Most meetups to plan on one day
+ * @param {number} options.defaultSetDuration - Minutes assumed for sets without an end time
+ * @returns {Object} - The chosen gaps, and warnings for friends whose longest stretch is still too long
+ */
+const autoPlanMeetups = (gaps, schedules, options = {}) => {
+  const {
+    checkInHours = DEFAULT_PLANNER_SETTINGS.checkInHours,
+    maxMeetupsPerDay = DEFAULT_PLANNER_SETTINGS.maxMeetupsPerDay,
+    defaultSetDuration = DEFAULT_PLANNER_SETTINGS.defaultSetDuration
+  } = options;
+  const limitMinutes = checkInHours * 60;
+
+  const chosen = [];
+  const warnings = [];
+  const dayIds = [...new Set(gaps.map(gap => gap.day))];
+
+  dayIds.forEach(dayId => {
+    const candidates = gaps.filter(gap => gap.day === dayId);
+
+    // Each friend's day runs from getting to their first set to leaving their last one
+    const spans = {};
+    schedules.forEach(schedule => {
+      const busy = (schedule.sets || [])
+        .filter(set => set.day === dayId)
+        .map(set => getBusyWindow(set, defaultSetDuration))
+        .filter(Boolean);
+      if (busy.length === 0) return;
+
+      spans[schedule.name] = {
+        start: Math.min(...busy.map(window => window.start.getTime())),
+        end: Math.max(...busy.map(window => window.end.getTime()))
+      };
+    });
+
+    // Minutes beyond the limit that friends go without a check-in
+    const getOverrun = (plan) => Object.keys(spans).reduce((total, name) => {
+      const checkIns = plan.filter(meetup => getMeetupAttendees(meetup).includes(name));
+      return total + getStretches(spans[name], checkIns)
+        .reduce((sum, stretch) => sum + Math.max(0, stretch - limitMinutes), 0);
+    }, 0);
+
+    const dayPlan = [];
+    while (dayPlan.length < maxMeetupsPerDay) {
+      const currentOverrun = getOverrun(dayPlan);
+      if (currentOverrun === 0 && dayPlan.length > 0) break;
+
+      let best = null;
+      let bestGain = 0;
+      candidates.forEach(candidate => {
+        if (dayPlan.includes(candidate)) return;
+
+        // Meetups in the plan should not overlap each other
+        const overlaps = dayPlan.some(meetup =>
+          new Date(meetup.start) < new Date(candidate.end) && new Date(meetup.end) > new Date(candidate.start)
+        );
+        if (overlaps) return;
+
+        const gain = currentOverrun - getOverrun([...dayPlan, candidate]);
+        const score = candidate.score ? candidate.score.total : 0;
+        const bestScore = best && best.score ? best.score.total : 0;
+        if (gain > bestGain || (best && gain === bestGain && score > bestScore)) {
+          best = candidate;
+          bestGain = gain;
+        }
+      });
+
+      // Every day gets at least its best-ranked meetup, even if nobody needs a check-in
+      if (!best && dayPlan.length === 0 && candidates.length > 0) {
+        best = candidates[0];
+      }
+      if (!best) break;
+
+      dayPlan.push(best);
+    }
+
+    chosen.push(...dayPlan);
+
+    // Warn about friends who still go too long without seeing the group
+    Object.keys(spans).forEach(name => {
+      const checkIns = dayPlan.filter(meetup => getMeetupAttendees(meetup).includes(name));
+      const longest = Math.max(...getStretches(spans[name], checkIns));
+      if (longest > limitMinutes) {
+        warnings.push({ day: dayId, schedule: name, longestMinutes: Math.round(longest) });
+      }
+    });
+  });
+
+  return { gaps: chosen, warnings };
+};
+
+export default autoPlanMeetups;
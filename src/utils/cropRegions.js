@@ -0,0 +1,78 @@
+// Crops are remembered per screenshot size, since the same app on the same phone
+// always puts its schedule in the same place
+const STORAGE_KEY = 'festivalCropRegions';
+
+// Regions smaller than this fraction of the image in either direction are treated as stray taps
+const MIN_REGION_FRACTION = 0.02;
+
+/**
+ * Get the key crops are remembered under for an image size
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {string} - Key such as "1170x2532"
+ */
+const getSizeKey = (width, height) => `${width}x${height}`;
+
+/**
+ * Read every remembered crop
+ * @returns {Object} - Regions by image size key
+ */
+const loadSavedCrops = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : {};
+  } catch (error) {
+    console.error('Error loading crop regions:', error);
+    return {};
+  }
+};
+
+/**
+ * Create a crop region from two corners, as fractions of the image
+ * @param {Object} from - First corner with x and y from 0 to 1
+ * @param {Object} to - Opposite corner with x and y from 0 to 1
+ * @returns {Object|null} - Region with x, y, width and height, or null if it is too small
+ */
+export const createCropRegion = (from, to) => {
+  const clamp = (value) => Math.min(1, Math.max(0, value));
+  const x = clamp(Math.min(from.x, to.x));
+  const y = clamp(Math.min(from.y, to.y));
+  const width = clamp(Math.max(from.x, to.x)) - x;
+  const height = clamp(Math.max(from.y, to.y)) - y;
+
+  if (width < MIN_REGION_FRACTION || height < MIN_REGION_FRACTION) return null;
+  return { x, y, width, height };
+};
+
+/**
+ * Get the crop last used for screenshots of a size
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Array} - Regions with x, y, width and height as fractions of the image, empty if none
+ */
+export const getSavedCropRegions = (width, height) => {
+  const regions = loadSavedCrops()[getSizeKey(width, height)];
+  return Array.isArray(regions) ? regions : [];
+};
+
+/**
+ * Remember the crop used for screenshots of a size; an empty crop forgets it
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Array} regions - Regions with x, y, width and height as fractions of the image
+ */
+export const saveCropRegions = (width, height, regions) => {
+  const crops = loadSavedCrops();
+  const key = getSizeKey(width, height);
+  if (regions.length > 0) {
+    crops[key] = regions;
+  } else {
+    delete crops[key];
+  }
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(crops));
+  } catch (error) {
+    console.error('Error saving crop regions:', error);
+  }
+};
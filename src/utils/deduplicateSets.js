@@ -24,7 +24,7 @@ const deduplicateSets = (existingSets = [], newSets = []) => {
   for (const set of existing) {
     if (!set || typeof set !== 'object') continue;
     
-    // Generate a unique key based on artist, stage, and hour
+    // Generate a unique key based on day, artist, stage, and time
     const key = getUniqueKey(set);
     if (key) {
       uniqueSets.set(key, set);
@@ -80,8 +80,11 @@ const getUniqueKey = (set) => {
     }
   }
   
-  // Return a composite key that uniquely identifies this set with exact time
-  return `${artist}|${stage}|${timeKey}`;
+  // Include the festival day so the same time on different days stays distinct
+  const day = set.day ? String(set.day) : '';
+  
+  // Return a composite key that uniquely identifies this set with exact day and time
+  return `${day}|${artist}|${stage}|${timeKey}`;
 };
 
 export default deduplicateSets;
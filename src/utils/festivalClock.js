@@ -0,0 +1,139 @@
+import { addDays, addMinutes, format, parseISO } from 'date-fns';
+
+/**
+ * Default festival hours, used for days without their own (noon until 6 AM the next morning)
+ */
+export const DEFAULT_GATES_OPEN = '12:00';
+export const DEFAULT_LAST_SET_ENDS = '06:00';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Convert an HH:mm time to minutes after midnight
+ * @param {string} time - Time in HH:mm format (24-hour)
+ * @returns {number|null} - Minutes after midnight, or null if invalid
+ */
+export const parseClockTime = (time) => {
+  const match = typeof time === 'string' && time.match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+};
+
+/**
+ * Get a festival day's opening hours, falling back to the defaults
+ * When gates open and the last set ends at the same time the day runs for 24 hours
+ * @param {Object} day - Festival day object
+ * @returns {Object} - Object with gatesOpen and lastSetEnds in minutes after midnight
+ */
+export const getFestivalHours = (day) => {
+  const gatesOpen = parseClockTime(day && day.gatesOpen);
+  const lastSetEnds = parseClockTime(day && day.lastSetEnds);
+
+  return {
+    gatesOpen: gatesOpen ?? parseClockTime(DEFAULT_GATES_OPEN),
+    lastSetEnds: lastSetEnds ?? parseClockTime(DEFAULT_LAST_SET_ENDS)
+  };
+};
+
+/**
+ * Get the length of a festival day's opening hours
+ * @param {Object} day - Festival day object
+ * @returns {number} - Minutes from gates opening to the last set ending (up to 24 hours)
+ */
+const getOpenMinutes = (day) => {
+  const { gatesOpen, lastSetEnds } = getFestivalHours(day);
+  const minutes = (lastSetEnds - gatesOpen + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return minutes === 0 ? MINUTES_PER_DAY : minutes;
+};
+
+/**
+ * Get the clock time at which a festival day rolls over into the next one
+ * This is the middle of the closed hours, so early arrivals and late finishes
+ * still belong to the right day; a 24-hour day rolls over when the gates open
+ * @param {Object} day - Festival day object
+ * @returns {number} - Minutes after midnight
+ */
+export const getRolloverMinutes = (day) => {
+  const { gatesOpen } = getFestivalHours(day);
+  const closedMinutes = MINUTES_PER_DAY - getOpenMinutes(day);
+  return (gatesOpen - Math.floor(closedMinutes / 2) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+};
+
+/**
+ * Get the start and end of a festival day's opening hours
+ * @param {Object} day - Festival day object with a date
+ * @returns {Object} - Object with start and end dates
+ */
+export const getFestivalDayBounds = (day) => {
+  const date = day && day.date ? parseISO(day.date) : new Date();
+  date.setHours(0, 0, 0, 0);
+
+  const start = addMinutes(date, getFestivalHours(day).gatesOpen);
+  return { start, end: addMinutes(start, getOpenMinutes(day)) };
+};
+
+/**
+ * Place a clock time onto a festival day
+ * Times before the day's rollover fall on the next calendar date (late-night sets)
+ * @param {Object} day - Festival day object
+ * @param {number} hours - Hours in 24-hour format
+ * @param {number} minutes - Minutes
+ * @returns {Date} - The absolute date and time
+ */
+export const placeTimeOnFestivalDay = (day, hours, minutes) => {
+  const date = day && day.date ? parseISO(day.date) : new Date();
+  date.setHours(hours, minutes, 0, 0);
+
+  if (hours * 60 + minutes < getRolloverMinutes(day)) {
+    return addDays(date, 1);
+  }
+  return date;
+};
+
+/**
+ * Get the calendar date of the festival day a time belongs to
+ * @param {Date|string} time - Date object or ISO string
+ * @param {Object} day - Festival day whose hours to use (defaults apply when omitted)
+ * @returns {string|null} - Date in yyyy-MM-dd format, or null if invalid
+ */
+export const getFestivalDate = (time, day) => {
+  const date = typeof time === 'string' ? parseISO(time) : new Date(time);
+  if (isNaN(date.getTime())) return null;
+
+  return format(addMinutes(date, -getRolloverMinutes(day)), 'yyyy-MM-dd');
+};
+
+/**
+ * Get how far into its festival day a time falls, for ordering times within a day
+ * @param {Date|string} time - Date object or ISO string
+ * @param {Object} day - Festival day whose hours to use (defaults apply when omitted)
+ * @returns {number} - Minutes since the day rolled over
+ */
+export const getFestivalClockMinutes = (time, day) => {
+  const date = new Date(time);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return (minutes - getRolloverMinutes(day) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+};
+
+/**
+ * Sort items by festival day, then by when they happen within that day
+ * @param {Array} items - Items with a start time and an optional day id
+ * @param {Array} festivalDays - Configured festival days, in order
+ * @returns {Array} - New sorted array
+ */
+export const sortByFestivalTime = (items, festivalDays = []) => {
+  const getDayIndex = (dayId) => festivalDays.findIndex(day => day.id === dayId);
+  const getDay = (dayId) => festivalDays.find(day => day.id === dayId);
+
+  return [...items].sort((a, b) => {
+    if (a.day !== b.day) {
+      return getDayIndex(a.day) - getDayIndex(b.day);
+    }
+    return getFestivalClockMinutes(a.start, getDay(a.day)) - getFestivalClockMinutes(b.start, getDay(b.day));
+  });
+};
@@ -0,0 +1,129 @@
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns';
+import { DEFAULT_GATES_OPEN, DEFAULT_LAST_SET_ENDS, getFestivalDate, parseClockTime } from './festivalClock';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Create a new festival day following the existing days
+ * @param {Array} existingDays - Festival days already configured
+ * @param {string} date - Optional date in yyyy-MM-dd format (defaults to the day after the last one)
+ * @returns {Object} - Festival day object with id, label, date and festival hours (copied from the last day)
+ */
+export const createFestivalDay = (existingDays = [], date) => {
+  const lastDay = existingDays[existingDays.length - 1];
+  const dayDate = date || (lastDay
+    ? format(addDays(parseISO(lastDay.date), 1), 'yyyy-MM-dd')
+    : format(new Date(), 'yyyy-MM-dd'));
+
+  // Use the next free number so ids stay unique after days are removed
+  let number = existingDays.length + 1;
+  while (existingDays.some(day => day.id === `day-${number}`)) {
+    number++;
+  }
+
+  return {
+    id: `day-${number}`,
+    label: `Day ${existingDays.length + 1}`,
+    date: dayDate,
+    gatesOpen: lastDay?.gatesOpen || DEFAULT_GATES_OPEN,
+    lastSetEnds: lastDay?.lastSetEnds || DEFAULT_LAST_SET_ENDS
+  };
+};
+
+/**
+ * Get the default festival days used before the user configures any
+ * @returns {Array} - Array with a single festival day starting today
+ */
+export const getDefaultFestivalDays = () => [createFestivalDay([])];
+
+/**
+ * Validate saved festival days, falling back to the defaults
+ * @param {Array} days - Saved festival days
+ * @returns {Array} - Valid festival days
+ */
+export const normalizeFestivalDays = (days) => {
+  if (!Array.isArray(days)) return getDefaultFestivalDays();
+
+  const validDays = days
+    .filter(day => day && day.id && day.date && !isNaN(parseISO(day.date).getTime()))
+    .map(day => ({
+      ...day,
+      // Days saved before festival hours existed get the default hours
+      gatesOpen: parseClockTime(day.gatesOpen) !== null ? day.gatesOpen : DEFAULT_GATES_OPEN,
+      lastSetEnds: parseClockTime(day.lastSetEnds) !== null ? day.lastSetEnds : DEFAULT_LAST_SET_ENDS
+    }));
+
+  return validDays.length > 0 ? validDays : getDefaultFestivalDays();
+};
+
+/**
+ * Move a set onto a festival day, keeping its clock times
+ * @param {Object} set - Set object with start and optional end, arriveAt and leaveAt times
+ * @param {Object} day - Festival day to move the set to
+ * @param {Object} fromDay - Festival day the set is on now, whose hours place its times (defaults to day)
+ * @returns {Object} - New set object stamped onto the festival day
+ */
+export const moveSetToDay = (set, day, fromDay = day) => {
+  if (!set || !day) return set;
+
+  const currentDate = getFestivalDate(set.start, fromDay);
+  if (!currentDate) return { ...set, day: day.id };
+
+  const offset = differenceInCalendarDays(parseISO(day.date), parseISO(currentDate));
+  const shift = (time) => (time ? addDays(new Date(time), offset).toISOString() : time);
+
+  return {
+    ...set,
+    day: day.id,
+    start: shift(set.start),
+    ...(set.end && { end: shift(set.end) }),
+    ...(set.arriveAt && { arriveAt: shift(set.arriveAt) }),
+    ...(set.leaveAt && { leaveAt: shift(set.leaveAt) })
+  };
+};
+
+/**
+ * Get a display label for a festival day, including its weekday
+ * @param {Object} day - Festival day object
+ * @returns {string} - Label such as "Day 1 (Fri)"
+ */
+export const formatFestivalDayLabel = (day) => {
+  if (!day) return '';
+  const label = day.label || 'Day';
+  const date = parseISO(day.date);
+  if (isNaN(date.getTime())) return label;
+  return `${label} (${format(date, 'EEE')})`;
+};
+
+/**
+ * Try to work out which festival day an OCR'd screenshot belongs to
+ * Looks for weekday names ("FRIDAY", "Sat") or day numbers ("Day 2") in the text
+ * @param {string} text - OCR text
+ * @param {Array} days - Configured festival days
+ * @returns {Object|null} - The matching festival day, or null if none could be inferred
+ */
+export const inferFestivalDay = (text, days = []) => {
+  if (!text || days.length === 0) return null;
+
+  // Match weekday names against each day's date or label
+  // (abbreviations only count in capitals, e.g. "FRI 16", to avoid matching artist names)
+  const weekdayMatch = text.match(/\b(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/i) ||
+    text.match(/\b(SUN|MON|TUE|WED|THU|FRI|SAT)\b/);
+  if (weekdayMatch) {
+    const weekday = WEEKDAYS.findIndex(name => name.startsWith(weekdayMatch[1].toLowerCase().slice(0, 3)));
+    const match = days.find(day =>
+      parseISO(day.date).getDay() === weekday ||
+      day.label.toLowerCase().startsWith(WEEKDAYS[weekday].slice(0, 3))
+    );
+    if (match) return match;
+  }
+
+  // Match "Day N" against the day's position or label
+  const dayNumberMatch = text.match(/\bday\s*(\d)\b/i);
+  if (dayNumberMatch) {
+    const number = parseInt(dayNumberMatch[1], 10);
+    return days.find(day => day.label.toLowerCase() === `day ${number}`) || days[number - 1] || null;
+  }
+
+  return null;
+};
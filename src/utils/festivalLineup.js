@@ -0,0 +1,90 @@
+import { format, parseISO } from 'date-fns';
+import { getFestivalDate, sortByFestivalTime } from './festivalClock';
+import { hasKnownEnd } from './getSetEnd';
+
+/**
+ * Create the canonical id of a lineup set from its day, artist, stage and start time
+ * Every schedule that picks the set from the lineup carries this id, so the picker knows
+ * which lineup sets a schedule already has
+ * @param {Object} set - Set with day, artist, stage and start
+ * @returns {string} - Id such as "day-1:fisher:neon-garden:2100"
+ */
+export const createLineupSetId = (set) => {
+  const slug = (text) => (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return [set.day || '', slug(set.artist), slug(set.stage), format(parseISO(set.start), 'HHmm')].join(':');
+};
+
+/**
+ * Validate lineup sets and give each its festival day and canonical id
+ * Sets without a known day are placed on the festival day their start time falls in;
+ * sets outside every festival day are dropped, as are repeats of the same set and ends
+ * that are not a time after the start
+ * @param {Array} sets - Sets with artist, stage, start and optional end and day
+ * @param {Array} festivalDays - Configured festival days
+ * @returns {Array} - Lineup sets with id and day, ordered by festival day and time
+ */
+export const normalizeLineup = (sets, festivalDays = []) => {
+  if (!Array.isArray(sets)) return [];
+
+  const lineup = new Map();
+  sets.forEach(set => {
+    if (!set || !set.artist || typeof set.start !== 'string' || isNaN(parseISO(set.start).getTime())) return;
+
+    const day = festivalDays.find(festivalDay => festivalDay.id === set.day) ||
+      festivalDays.find(festivalDay => getFestivalDate(set.start, festivalDay) === festivalDay.date);
+    if (!day) return;
+
+    const lineupSet = {
+      day: day.id,
+      artist: String(set.artist).trim(),
+      stage: set.stage ? String(set.stage).trim() : 'Unknown Stage',
+      start: set.start,
+      // An end that is not a date-time after the start is dropped, leaving the default set length
+      ...(typeof set.end === 'string' && hasKnownEnd(set) && { end: set.end })
+    };
+    const id = createLineupSetId(lineupSet);
+    if (!lineup.has(id)) lineup.set(id, { id, ...lineupSet });
+  });
+
+  return sortByFestivalTime(Array.from(lineup.values()), festivalDays);
+};
+
+/**
+ * Read lineup sets from a JSON file, either an array of sets or an object with a sets array
+ * @param {string} text - JSON text
+ * @returns {Array} - Sets as written in the file (see normalizeLineup)
+ */
+export const parseLineupJson = (text) => {
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.sets)) return data.sets;
+  throw new Error('The file does not contain a list of sets');
+};
+
+/**
+ * Copy a lineup set into a friend's schedule, keeping a reference to the lineup set
+ * @param {Object} lineupSet - Set from the lineup
+ * @returns {Object} - Schedule set with lineupId
+ */
+export const pickLineupSet = (lineupSet) => {
+  const { id, ...set } = lineupSet;
+  return { ...set, lineupId: id };
+};
+
+/**
+ * Find the lineup sets matching a search, by artist or stage
+ * @param {Array} lineup - Lineup sets
+ * @param {string} query - Search text
+ * @returns {Array} - Matching sets, or the whole lineup for an empty search
+ */
+const searchLineup = (lineup, query) => {
+  const terms = (query || '').toLowerCase().split(/\s+/).filter(term => term);
+  if (terms.length === 0) return lineup;
+
+  return lineup.filter(set => {
+    const text = `${set.artist} ${set.stage}`.toLowerCase();
+    return terms.every(term => text.includes(term));
+  });
+};
+
+export default searchLineup;
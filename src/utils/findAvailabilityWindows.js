@@ -0,0 +1,203 @@
+import { DEFAULT_SET_DURATION_MINUTES } from './getSetEnd';
+import getBusyWindow from './getBusyWindow';
+
+/**
+ * Get each schedule's busy intervals (including the travel buffer), clipped to a period
+ * Partial attendance (arriveAt / leaveAt) narrows a set to the part the friend catches
+ * @param {Array} schedules - Array of schedule objects with name and sets
+ * @param {number} periodStart - Start of the period as a timestamp
+ * @param {number} periodEnd - End of the period as a timestamp
+ * @param {number} defaultSetDuration - Minutes assumed for sets without an end time
+ * @param {number} travelBuffer - Minutes a friend needs to get to a set before it starts
+ * @returns {Array} - Busy intervals with start and end timestamps, one array per schedule
+ */
+const getBusyIntervals = (schedules, periodStart, periodEnd, defaultSetDuration, travelBuffer) => {
+  return schedules.map(schedule => (schedule.sets || [])
+    .map(set => {
+      const busy = getBusyWindow(set, defaultSetDuration);
+      if (!busy) return null;
+      return {
+        start: Math.max(busy.start.getTime() - travelBuffer * 60 * 1000, periodStart),
+        end: Math.min(busy.end.getTime(), periodEnd)
+      };
+    })
+    .filter(interval => interval && interval.end > interval.start));
+};
+
+/**
+ * Get the stretches of a period in which a friend is free, from their busy intervals
+ * @param {Array} intervals - Busy intervals with start and end timestamps
+ * @param {number} periodStart - Start of the period as a timestamp
+ * @param {number} periodEnd - End of the period as a timestamp
+ * @returns {Array} - Free intervals with start and end timestamps, in time order
+ */
+const getFreeIntervals = (intervals, periodStart, periodEnd) => {
+  const free = [];
+  let cursor = periodStart;
+
+  [...intervals].sort((a, b) => a.start - b.start).forEach(interval => {
+    if (interval.start > cursor) free.push({ start: cursor, end: interval.start });
+    cursor = Math.max(cursor, interval.end);
+  });
+  if (cursor < periodEnd) free.push({ start: cursor, end: periodEnd });
+
+  return free;
+};
+
+/**
+ * Split a time period into segments, each labelled with exactly which friends are free
+ * A single sweep over the sorted busy start and end times, so it stays fast for large groups
+ * @param {Array} schedules - Array of schedule objects with name and sets
+ * @param {Object} options - Search options
+ * @param {Date} options.start - Start of the period to search
+ * @param {Date} options.end - End of the period to search
+ * @param {number} options.defaultSetDuration - Minutes assumed for sets without an end time
+ * @param {number} options.travelBuffer - Minutes a friend needs to get to a set before it starts
+ * @returns {Array} - Array of segments with start, end and the names of the free schedules
+ */
+export const getAvailabilitySegments = (schedules, options = {}) => {
+  const { start, end, defaultSetDuration = DEFAULT_SET_DURATION_MINUTES, travelBuffer = 0 } = options;
+  if (!schedules || schedules.length === 0 || !start || !end) return [];
+
+  const periodStart = new Date(start).getTime();
+  const periodEnd = new Date(end).getTime();
+  if (!(periodEnd > periodStart)) return [];
+
+  const busyIntervals = getBusyIntervals(schedules, periodStart, periodEnd, defaultSetDuration, travelBuffer);
+  return sweepAvailability(schedules, busyIntervals, periodStart, periodEnd);
+};
+
+/**
+ * Sweep over every busy start and end in time order, recording who is free in between
+ * Who is free is updated at each event rather than recounted, so the sweep takes
+ * O(E log E) for E busy starts and ends, plus the names written into each segment
+ * @param {Array} schedules - Array of schedule objects with name and sets
+ * @param {Array} busyIntervals - Busy intervals for each schedule, from getBusyIntervals
+ * @param {number} periodStart - Start of the period as a timestamp
+ * @param {number} periodEnd - End of the period as a timestamp
+ * @returns {Array} - Array of segments with start, end and the names of the free schedules
+ */
+const sweepAvailability = (schedules, busyIntervals, periodStart, periodEnd) => {
+  // Every busy start or end is an event where the set of free friends can change
+  const events = [];
+  busyIntervals.forEach((intervals, idx) => intervals.forEach(interval => {
+    events.push({ time: interval.start, idx, delta: 1 });
+    events.push({ time: interval.end, idx, delta: -1 });
+  }));
+  events.sort((a, b) => a.time - b.time);
+
+  // Sweep the events in time order, counting how many sets each friend is busy with
+  // and keeping the set of free friends up to date as the counts reach or leave zero
+  const busyCounts = schedules.map(() => 0);
+  const freeIdx = new Set(schedules.map((schedule, idx) => idx));
+
+  const segments = [];
+  let free = null;
+  let cursor = periodStart;
+  let eventIdx = 0;
+
+  while (cursor < periodEnd) {
+    // Apply everything that happens at this moment before deciding who is free,
+    // remembering who was free beforehand so a friend busy and free again at once is no change
+    const wasFree = new Map();
+    while (eventIdx < events.length && events[eventIdx].time <= cursor) {
+      const { idx, delta } = events[eventIdx];
+      if (!wasFree.has(idx)) wasFree.set(idx, busyCounts[idx] === 0);
+      busyCounts[idx] += delta;
+      if (busyCounts[idx] === 0) {
+        freeIdx.add(idx);
+      } else {
+        freeIdx.delete(idx);
+      }
+      eventIdx++;
+    }
+    const changed = free === null ||
+      [...wasFree].some(([idx, before]) => before !== (busyCounts[idx] === 0));
+
+    const next = eventIdx < events.length ? Math.min(events[eventIdx].time, periodEnd) : periodEnd;
+
+    // Extend the previous segment while the same friends are free
+    if (changed) {
+      free = [...freeIdx].sort((a, b) => a - b).map(idx => schedules[idx].name);
+      segments.push({ start: new Date(cursor), end: new Date(next), schedules: free });
+    } else {
+      segments[segments.length - 1].end = new Date(next);
+    }
+
+    cursor = next;
+  }
+
+  return segments;
+};
+
+/**
+ * Find maximal windows in which a group of friends is free at the same time
+ * A window is maximal when it cannot be made longer for the same group,
+ * and no larger group is free for the whole window
+ * @param {Array} schedules - Array of schedule objects with name and sets
+ * @param {Object} options - Search options
+ * @param {Date} options.start - Start of the period to search
+ * @param {Date} options.end - End of the period to search
+ * @param {number} options.defaultSetDuration - Minutes assumed for sets without an end time
+ * @param {number} options.travelBuffer - Minutes a friend needs to get to a set before it starts
+ * @param {number} options.minDuration - Minimum window length in minutes
+ * @param {number} options.minSchedules - Minimum number of friends that must be free
+ * @returns {Array} - Array of windows with start, end and the names of the free schedules
+ */
+const findAvailabilityWindows = (schedules, options = {}) => {
+  const {
+    start: searchStart,
+    end: searchEnd,
+    defaultSetDuration = DEFAULT_SET_DURATION_MINUTES,
+    travelBuffer = 0,
+    minDuration = 0,
+    minSchedules = 2
+  } = options;
+  if (!schedules || schedules.length === 0 || !searchStart || !searchEnd) return [];
+
+  const periodStart = new Date(searchStart).getTime();
+  const periodEnd = new Date(searchEnd).getTime();
+  if (!(periodEnd > periodStart)) return [];
+
+  const busyIntervals = getBusyIntervals(schedules, periodStart, periodEnd, defaultSetDuration, travelBuffer);
+  const segments = sweepAvailability(schedules, busyIntervals, periodStart, periodEnd);
+
+  // Each friend's free stretches, walked through alongside the segments
+  const freeIntervals = busyIntervals.map(intervals => getFreeIntervals(intervals, periodStart, periodEnd));
+  const positions = schedules.map(() => 0);
+  const indexByName = new Map(schedules.map((schedule, idx) => [schedule.name, idx]));
+
+  const windows = [];
+  const seen = new Set();
+
+  segments.forEach(segment => {
+    if (segment.schedules.length < minSchedules) return;
+
+    // The group stays together from the latest time one of them became free
+    // until the first time one of them is busy again
+    const segmentStart = segment.start.getTime();
+    let groupStart = -Infinity;
+    let groupEnd = Infinity;
+    segment.schedules.forEach(name => {
+      const idx = indexByName.get(name);
+      const intervals = freeIntervals[idx];
+      while (intervals[positions[idx]].end <= segmentStart) positions[idx]++;
+      groupStart = Math.max(groupStart, intervals[positions[idx]].start);
+      groupEnd = Math.min(groupEnd, intervals[positions[idx]].end);
+    });
+
+    const start = new Date(groupStart);
+    const end = new Date(groupEnd);
+    if (end - start < minDuration * 60 * 1000) return;
+
+    const key = `${start.getTime()}-${end.getTime()}-${segment.schedules.join('|')}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    windows.push({ start, end, schedules: [...segment.schedules] });
+  });
+
+  return windows;
+};
+
+export default findAvailabilityWindows;
@@ -0,0 +1,84 @@
+import getBusyWindow from './getBusyWindow';
+import { DEFAULT_SET_DURATION_MINUTES } from './getSetEnd';
+import { getSetPriority } from './setPriority';
+
+/**
+ * Find sets in one friend's schedule that overlap each other
+ * Only the part of each set the friend attends counts, and a clash with a
+ * "maybe" set is not reported because the friend already expects to skip some of it
+ * @param {Array} sets - Array of set objects from a single schedule
+ * @param {number} defaultDuration - Minutes to assume when a set has no valid end time
+ * @returns {Array} - Array of clashes with the indices of both sets and the overlap in minutes
+ */
+const findSetClashes = (sets, defaultDuration = DEFAULT_SET_DURATION_MINUTES) => {
+  if (!Array.isArray(sets) || sets.length < 2) return [];
+
+  const windows = sets.map(set => getBusyWindow(set, defaultDuration));
+  const clashes = [];
+
+  for (let i = 0; i < sets.length; i++) {
+    for (let j = i + 1; j < sets.length; j++) {
+      if (!windows[i] || !windows[j]) continue;
+      if (getSetPriority(sets[i]) === 'maybe' || getSetPriority(sets[j]) === 'maybe') continue;
+
+      const overlapStart = Math.max(windows[i].start.getTime(), windows[j].start.getTime());
+      const overlapEnd = Math.min(windows[i].end.getTime(), windows[j].end.getTime());
+      if (overlapEnd <= overlapStart) continue;
+
+      // Order each clash by which set starts first
+      const [first, second] = windows[i].start <= windows[j].start ? [i, j] : [j, i];
+      clashes.push({
+        first,
+        second,
+        overlapStart: new Date(overlapStart),
+        overlapEnd: new Date(overlapEnd),
+        overlapMinutes: Math.round((overlapEnd - overlapStart) / (60 * 1000))
+      });
+    }
+  }
+
+  return clashes;
+};
+
+/**
+ * Get the indices of every set involved in a clash
+ * @param {Array} clashes - Clashes from findSetClashes
+ * @returns {Set} - Set of set indices
+ */
+export const getClashingIndices = (clashes) => {
+  return new Set(clashes.flatMap(clash => [clash.first, clash.second]));
+};
+
+/**
+ * Resolve a clash between two sets
+ * @param {Array} sets - Array of set objects from a single schedule
+ * @param {Object} clash - Clash from findSetClashes
+ * @param {string} resolution - 'keep-first', 'keep-second', 'split', 'maybe-first' or 'maybe-second'
+ * @returns {Array} - New array of sets with the clash resolved
+ */
+export const resolveSetClash = (sets, clash, resolution) => {
+  switch (resolution) {
+    case 'keep-first':
+      return sets.filter((_, idx) => idx !== clash.second);
+    case 'keep-second':
+      return sets.filter((_, idx) => idx !== clash.first);
+    case 'split': {
+      // Leave the first set and arrive at the second halfway through the overlap
+      const midpoint = new Date((clash.overlapStart.getTime() + clash.overlapEnd.getTime()) / 2).toISOString();
+      return sets.map((set, idx) => {
+        if (idx === clash.first) return { ...set, leaveAt: midpoint };
+        if (idx === clash.second) return { ...set, arriveAt: midpoint };
+        return set;
+      });
+    }
+    case 'maybe-first':
+    case 'maybe-second': {
+      const target = resolution === 'maybe-first' ? clash.first : clash.second;
+      return sets.map((set, idx) => (idx === target ? { ...set, priority: 'maybe' } : set));
+    }
+    default:
+      return sets;
+  }
+};
+
+export default findSetClashes;
@@ -1,27 +1,59 @@
 // Utility function to find shared gaps between schedules
+import getSetEnd from './getSetEnd';
+import getBusyWindow from './getBusyWindow';
+import { getFestivalDayBounds } from './festivalClock';
+import findAvailabilityWindows from './findAvailabilityWindows';
+import { DEFAULT_PLANNER_SETTINGS } from './plannerSettings';
+import { getWalkTime } from './stageDistances';
+import rankMeetups from './rankMeetups';
+import { getSharedSetKey } from './findSharedSets';
+import addPersonalBusyTimes from './personalTime';
+import { getSetPriority } from './setPriority';
+
+// Most extra suggestions that need someone to skip or cut short a "maybe" set
+const MAX_SKIP_SUGGESTIONS = 3;
 
 /**
  * Find shared time gaps between multiple schedules with improved logic
  * @param {Array} schedules - Array of schedule objects with sets
- * @returns {Array} - Array of shared gap objects with start, end times and schedule information
+ * @param {Object} settings - Planner settings (see DEFAULT_PLANNER_SETTINGS)
+ * @param {number} settings.defaultSetDuration - Minutes assumed for sets without an end time
+ * @param {number} settings.meetupLength - Length of a meetup before a common set, in minutes
+ * @param {number} settings.minSharedGap - Minimum length of a shared free window, in minutes
+ * @param {number} settings.maxMeetupLength - Longest meetup window to suggest, in minutes
+ * @param {number} settings.travelBuffer - Minutes friends need to get to a set before it starts
+ * @param {number} settings.defaultWalkTime - Minutes assumed between stages missing from the distance matrix
+ * @param {number} settings.maxSuggestions - Maximum number of meetup suggestions to return
+ * @param {Object} festival - Festival-wide configuration
+ * @param {Object} festival.stageDistances - Walking minutes between stages (see utils/stageDistances)
+ * @param {Array} festival.days - Festival days, whose hours bound the search on each day
+ * @returns {Array} - Array of shared gap objects with start, end times and schedule information,
+ *   followed by extra options that need "maybe" sets skipped (isFlexible, with a list of skips)
  */
-const findSharedGaps = (schedules) => {
+const findSharedGaps = (schedules, settings = {}, festival = {}) => {
   if (!schedules || schedules.length === 0) return [];
   
+  // Arrival, departure and personal busy blocks count as busy time like any set
+  schedules = addPersonalBusyTimes(schedules);
+  
+  const { stageDistances = {}, days: festivalDays = [] } = festival;
+  
+  const {
+    defaultSetDuration,
+    meetupLength,
+    minSharedGap,
+    maxMeetupLength,
+    travelBuffer,
+    defaultWalkTime,
+    maxSuggestions
+  } = { ...DEFAULT_PLANNER_SETTINGS, ...settings };
+  
   // Create a unique identifier for each set
-  const createSetId = (set) => {
-    if (!set || !set.artist || !set.start) return null;
-    const artist = set.artist.toLowerCase().trim();
-    const stage = set.stage ? set.stage.toLowerCase().trim() : 'unknown';
-    const date = new Date(set.start);
-    const timeStr = `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
-    return `${artist}|${stage}|${timeStr}`;
-  };
+  const createSetId = getSharedSetKey;
   
   // Find all sets across all schedules with proper tracking of exact duplicates
   const allSets = [];
   const setsByIdentifier = {}; // Track sets by their unique ID
-  const setsBySchedule = {}; // Track which schedules have each unique set
   
   schedules.forEach(schedule => {
     if (schedule.sets && schedule.sets.length > 0) {
@@ -42,47 +74,194 @@ const findSharedGaps = (schedules) => {
             setsByIdentifier[setId].scheduleNames.push(schedule.name);
           }
         }
-        
-        // Also track by schedule name for easier lookups
-        if (!setsBySchedule[schedule.name]) {
-          setsBySchedule[schedule.name] = [];
-        }
-        setsBySchedule[schedule.name].push(setId);
       });
     }
   });
   
+  // Each schedule's sets in the order the friend is there, used to work out where they walk from and to
+  // (a friend who arrives late or leaves early is only busy for the part of the set they catch)
+  const sortedSetsBySchedule = {};
+  schedules.forEach(schedule => {
+    sortedSetsBySchedule[schedule.name] = (schedule.sets || [])
+      .map(set => ({ set, busy: getBusyWindow(set, defaultSetDuration) }))
+      .filter(entry => entry.busy)
+      .sort((a, b) => a.busy.start - b.busy.start);
+  });
+  
+  // Walking times are looked up for every friend and meetup spot, so remember them
+  const walkMinutesCache = new Map();
+  const getWalkMinutes = (from, to) => {
+    const key = `${from}|${to}`;
+    if (!walkMinutesCache.has(key)) {
+      walkMinutesCache.set(key, getWalkTime(stageDistances, from, to, defaultWalkTime));
+    }
+    return walkMinutesCache.get(key);
+  };
+  
+  // Busy starts of a schedule's sorted sets, and which of its first N sets the friend leaves last,
+  // built once per list of sets so each lookup is a binary search
+  const setIndexes = new WeakMap();
+  
+  /**
+   * Get the search index of a schedule's sets, building it the first time
+   * @param {Array} entries - Sets and busy windows sorted by busy start
+   * @returns {Object} - Busy start timestamps and, for each position, the index of the latest-ending set so far
+   */
+  const getSetIndex = (entries) => {
+    if (!setIndexes.has(entries)) {
+      let latest = -1;
+      setIndexes.set(entries, {
+        starts: entries.map(entry => entry.busy.start.getTime()),
+        latestEnding: entries.map((entry, idx) => {
+          if (latest < 0 || entry.busy.end > entries[latest].busy.end) latest = idx;
+          return latest;
+        })
+      });
+    }
+    return setIndexes.get(entries);
+  };
+  
+  /**
+   * Count the sets whose busy window starts before a time
+   * @param {Array} starts - Sorted busy start timestamps
+   * @param {number} time - Timestamp to compare with
+   * @returns {number} - Number of starts before the time
+   */
+  const countStartsBefore = (starts, time) => {
+    let low = 0;
+    let high = starts.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (starts[mid] < time) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+  
+  /**
+   * Check whether a friend is at (or on the way to) any set during a time range
+   * @param {string} name - Schedule name
+   * @param {Date} start - Start of the range
+   * @param {Date} end - End of the range
+   * @returns {boolean} - True if a set overlaps the range, counting the travel buffer before it
+   */
+  const isBusyDuring = (name, start, end) => {
+    const entries = sortedSetsBySchedule[name] || [];
+    const { starts, latestEnding } = getSetIndex(entries);
+    
+    // Count the sets the friend has to head to before the range ends
+    const count = countStartsBefore(starts, end.getTime() + travelBuffer * 60 * 1000);
+    
+    // Busy if any of those sets is still going when the range starts
+    return count > 0 && entries[latestEnding[count - 1]].busy.end.getTime() > start.getTime();
+  };
+  
+  /**
+   * Work out when a friend can actually be at a meetup location, allowing for
+   * the walk from their previous set and on to their next one
+   * @param {string} name - Schedule name
+   * @param {Object} window - Free window with start and end dates
+   * @param {string} location - Stage the meetup happens at
+   * @param {Object} setsByName - Sorted sets and busy windows for each schedule name
+   * @returns {Object} - Arrival start/end timestamps and the longest walk involved
+   */
+  const getArrivalWindow = (name, window, location, setsByName) => {
+    const windowStart = window.start.getTime();
+    const windowEnd = window.end.getTime();
+    const entries = setsByName[name] || [];
+    const { starts, latestEnding } = getSetIndex(entries);
+    const count = countStartsBefore(starts, windowStart);
+    
+    // The previous set is the one the friend leaves last among those they got to before the window
+    const previousEntry = count > 0 ? entries[latestEnding[count - 1]] : null;
+    const previous = previousEntry ? previousEntry.set : null;
+    const previousEnd = previousEntry ? previousEntry.busy.end.getTime() : -Infinity;
+    const nextEntry = entries[count];
+    const next = nextEntry ? nextEntry.set : null;
+    
+    const walkFrom = previous ? getWalkMinutes(previous.stage, location) : 0;
+    const walkTo = next ? getWalkMinutes(location, next.stage) : 0;
+    
+    return {
+      start: previous ? Math.max(windowStart, previousEnd + walkFrom * 60 * 1000) : windowStart,
+      end: next
+        ? Math.min(windowEnd, nextEntry.busy.start.getTime() - (travelBuffer + walkTo) * 60 * 1000)
+        : windowEnd,
+      walkMinutes: Math.max(walkFrom, walkTo)
+    };
+  };
+  
+  /**
+   * Trim a meetup window to the time every friend can spend at the location,
+   * dropping the friends with the least time there until it is long enough
+   * @param {Object} window - Free window with start and end dates
+   * @param {Array} names - Schedule names of the friends meeting
+   * @param {string} location - Stage the meetup happens at
+   * @param {number} minMinutes - Shortest acceptable meetup in minutes
+   * @param {Object} setsByName - Sorted sets and busy windows for each schedule name (defaults to every set)
+   * @returns {Object|null} - Trimmed window with start, end, schedules and walkMinutes, or null
+   */
+  const fitWindowToWalks = (window, names, location, minMinutes, setsByName = sortedSetsBySchedule) => {
+    let attendees = names.map(name => ({ name, ...getArrivalWindow(name, window, location, setsByName) }));
+    
+    while (attendees.length >= 2) {
+      const start = Math.max(...attendees.map(attendee => attendee.start));
+      const end = Math.min(...attendees.map(attendee => attendee.end));
+      
+      if (end - start >= minMinutes * 60 * 1000) {
+        return {
+          start: new Date(start),
+          end: new Date(end),
+          schedules: attendees.map(attendee => attendee.name),
+          walkMinutes: Math.max(...attendees.map(attendee => attendee.walkMinutes))
+        };
+      }
+      
+      const tightest = attendees.reduce((worst, attendee) => (
+        attendee.end - attendee.start < worst.end - worst.start ? attendee : worst
+      ));
+      attendees = attendees.filter(attendee => attendee !== tightest);
+    }
+    
+    return null;
+  };
+  
   // Find sets that appear in at least 2 schedules (exact matches - same artist, stage, and time)
   const commonSets = allSets.filter(set => set.scheduleNames.length >= 2);
   
-  console.log('Common sets:', commonSets.length);
-  
   // Sort sets by start time
   commonSets.sort((a, b) => {
     if (!a.start || !b.start) return 0;
     return new Date(a.start) - new Date(b.start);
   });
   
+  // Common sets of each day with their start timestamps, for finding the next one after a window
+  const commonSetsByDay = {};
+  commonSets.forEach(set => {
+    if (!set.start) return;
+    if (!commonSetsByDay[set.day]) commonSetsByDay[set.day] = { sets: [], starts: [] };
+    commonSetsByDay[set.day].sets.push(set);
+    commonSetsByDay[set.day].starts.push(new Date(set.start).getTime());
+  });
+  
   // Create meetup times specifically before common sets
   const meetupGaps = [];
   
   // Keep track of processed meetups to avoid duplicates
   const processedMeetups = new Set();
   
-  // For each common set (exact matches across schedules), create a meetup time
-  commonSets.forEach(set => {
-    if (!set.start || !set.artist) return;
-    
-    // Use artist name for metadata and stage for location
+  /**
+   * Add a meetup at a common set's stage, for the friends at the set and anyone free to join them
+   * @param {Object} set - Common set with the names of the schedules that have it
+   * @param {Date} meetupStart - Start of the meetup
+   * @param {Date} meetupEnd - End of the meetup
+   * @param {Object} labels - Fields describing how the meetup relates to the set
+   */
+  const addCommonSetMeetup = (set, meetupStart, meetupEnd, labels) => {
     const stage = set.stage || 'Unknown Stage';
-    const startTime = new Date(set.start);
-    
-    // Create a 15-minute meetup gap right before the set
-    const meetupStart = new Date(startTime);
-    meetupStart.setMinutes(meetupStart.getMinutes() - 15);
     
     // Create a unique key for this meetup using exact time
-    const meetupKey = `${meetupStart.getTime()}-${startTime.getTime()}-${stage}`;
+    const meetupKey = `${meetupStart.getTime()}-${meetupEnd.getTime()}-${stage}`;
     
     if (processedMeetups.has(meetupKey)) {
       return; // Skip if we already processed this meetup
@@ -100,188 +279,284 @@ const findSharedGaps = (schedules) => {
     
     schedules.forEach(schedule => {
       // Skip schedules that have this exact set (they're part of schedulesWithExactSet)
-      const setId = createSetId(set);
-      const hasThisExactSet = setsBySchedule[schedule.name]?.includes(setId);
+      if (schedulesWithExactSet.includes(schedule.name)) return;
       
-      // If this schedule doesn't have the exact set we're checking,
-      // see if it's available during the meetup time
-      if (!hasThisExactSet) {
-        // Check if any sets in this schedule overlap with the meetup time
-        const hasOverlap = schedule.sets.some(scheduleSet => {
-          if (!scheduleSet.start) return false;
-          
-          const setStart = new Date(scheduleSet.start);
-          const setDuration = 60 * 60 * 1000; // Assume 1 hour if no end time
-          const setEnd = new Date(setStart.getTime() + setDuration);
-          
-          // Check if the meetup time overlaps with this set
-          return (
-            (meetupStart >= setStart && meetupStart < setEnd) || // meetup start during set
-            (startTime > setStart && startTime <= setEnd)       // meetup end during set
-          );
-        });
-        
-        // If no overlap, this schedule is available for the meetup
-        if (!hasOverlap) {
-          availableSchedules.push(schedule.name);
-        }
+      // Friends who are not at any set (or heading to one) during the meetup are free to meet
+      if (!isBusyDuring(schedule.name, meetupStart, meetupEnd)) {
+        availableSchedules.push(schedule.name);
       }
     });
     
     // Only if there are at least 2 schedules involved (either with the set or available)
     const totalRelevantSchedules = [...new Set([...schedulesWithExactSet, ...availableSchedules])]; 
     
-    if (totalRelevantSchedules.length >= 2) {
+    // Friends who cannot walk over from their previous set (or on to their next) in time are left out
+    const fitted = totalRelevantSchedules.length >= 2
+      ? fitWindowToWalks({ start: meetupStart, end: meetupEnd }, totalRelevantSchedules, stage, meetupLength)
+      : null;
+    
+    if (fitted && fitted.schedules.some(name => schedulesWithExactSet.includes(name))) {
       meetupGaps.push({
-        start: meetupStart,
-        end: startTime,
-        schedules: availableSchedules,  // Only include schedules that don't have this set
+        start: fitted.start,
+        end: fitted.end,
+        schedules: availableSchedules.filter(name => fitted.schedules.includes(name)),  // Only include schedules that don't have this set
+        day: set.day,
         isRecommended: true,
-        beforeCommonArtist: set.artist,
-        beforeStage: stage,
-        commonSchedules: schedulesWithExactSet // Track which schedules share this exact set
+        ...labels,
+        location: stage,
+        walkMinutes: fitted.walkMinutes,
+        commonSchedules: schedulesWithExactSet.filter(name => fitted.schedules.includes(name)) // Track which schedules share this exact set
       });
     }
+  };
+  
+  // For each common set (exact matches across schedules), create meetup times before and after it
+  commonSets.forEach(set => {
+    if (!set.start || !set.artist) return;
+    
+    // Use artist name for metadata and stage for location
+    const stage = set.stage || 'Unknown Stage';
+    const startTime = new Date(set.start);
+    
+    // Create a meetup gap right before the set, leaving the travel buffer to get in
+    const meetupEnd = new Date(startTime.getTime() - travelBuffer * 60 * 1000);
+    addCommonSetMeetup(set, new Date(meetupEnd.getTime() - meetupLength * 60 * 1000), meetupEnd, {
+      beforeCommonArtist: set.artist,
+      beforeStage: stage,
+      commonSetStart: startTime
+    });
+    
+    // And one right as it ends, to regroup with friends who were elsewhere
+    const endTime = getSetEnd(set, defaultSetDuration);
+    addCommonSetMeetup(set, endTime, new Date(endTime.getTime() + meetupLength * 60 * 1000), {
+      afterCommonArtist: set.artist,
+      afterStage: stage,
+      commonSetEnd: endTime
+    });
   });
   
-  // If we don't have enough meetup times from common artists,
-  // find additional general gaps between schedules
-  if (meetupGaps.length < 2) {
-    // Find gaps for each schedule
-    const scheduleGaps = [];
+  // Find windows where groups of friends are all free, one festival day at a time
+  const availableWindows = [];
+  const dayIds = [...new Set(allSets.map(set => set.day))];
+  const dayContexts = [];
+  
+  dayIds.forEach(dayId => {
+    // Only friends with sets on this day take part in it
+    const daySchedules = schedules
+      .map(schedule => ({
+        name: schedule.name,
+        sets: (schedule.sets || []).filter(set => set.day === dayId && getSetEnd(set, defaultSetDuration))
+      }))
+      .filter(schedule => schedule.sets.length > 0);
     
-    schedules.forEach(schedule => {
-      if (!schedule.sets || schedule.sets.length === 0) return;
-      
-      // Sort sets by start time
-      const sortedSets = [...schedule.sets].sort((a, b) => {
-        if (!a.start || !b.start) return 0;
-        return new Date(a.start) - new Date(b.start);
+    if (daySchedules.length < 2) return;
+    
+    // Search from the first time anyone gets to a set to the last time anyone leaves one on this day,
+    // kept within the day's festival hours when they are configured
+    const daySets = daySchedules.flatMap(schedule => schedule.sets).filter(set => !set.isPersonal);
+    const dayBusy = daySets.map(set => getBusyWindow(set, defaultSetDuration));
+    let dayStart = new Date(Math.min(...dayBusy.map(busy => busy.start.getTime())));
+    let dayEnd = new Date(Math.max(...dayBusy.map(busy => busy.end.getTime())));
+    
+    const festivalDay = festivalDays.find(day => day.id === dayId);
+    if (festivalDay) {
+      const bounds = getFestivalDayBounds(festivalDay);
+      dayStart = new Date(Math.max(dayStart.getTime(), bounds.start.getTime()));
+      dayEnd = new Date(Math.min(dayEnd.getTime(), bounds.end.getTime()));
+    }
+    const stages = [...new Set(daySets.map(set => set.stage).filter(Boolean))];
+    dayContexts.push({ dayId, daySchedules, dayStart, dayEnd, stages });
+    
+    findAvailabilityWindows(daySchedules, {
+      start: dayStart,
+      end: dayEnd,
+      defaultSetDuration,
+      travelBuffer,
+      minDuration: minSharedGap,
+      minSchedules: 2
+    }).forEach(window => {
+      availableWindows.push({
+        ...window,
+        day: dayId,
+        stages,
+        isEveryoneFree: window.schedules.length === daySchedules.length
       });
-      
-      // Find gaps between sets
-      for (let i = 0; i < sortedSets.length - 1; i++) {
-        const currentSet = sortedSets[i];
-        const nextSet = sortedSets[i + 1];
-        
-        if (!currentSet.start || !nextSet.start) continue;
-        
-        const currentEnd = new Date(currentSet.start);
-        // Calculate end time based on start time
-        if (!currentEnd) continue;
-        
-        const nextStart = new Date(nextSet.start);
-        
-        // If there's a gap between sets
-        if (nextStart > currentEnd) {
-          scheduleGaps.push({
-            scheduleName: schedule.name,
-            start: currentEnd,
-            end: nextStart,
-            afterArtist: currentSet.artist,
-            beforeArtist: nextSet.artist
-          });
-        }
-      }
     });
+  });
+  
+  // Windows where everyone is free are always suggested; smaller groups are
+  // only added when there are not enough meetup times from common artists
+  const generalGaps = availableWindows.filter(window => meetupGaps.length < 2 || window.isEveryoneFree);
+  
+  /**
+   * Turn a free window into a meetup suggestion, picking where to meet
+   * @param {Object} window - Free window with start, end, day, schedules and the day's stages
+   * @param {Object} setsByName - Sorted sets for each schedule name, used for walking times
+   * @returns {Object|null} - Meetup gap (not yet capped to the longest meetup window), or null
+   */
+  const createWindowGap = (window, setsByName) => {
+    // Check if this gap is also a good meetup time for common artists
+    // The closest common artist is the day's first common set starting once the gap is over
+    const daySets = commonSetsByDay[window.day] || { sets: [], starts: [] };
+    const nextCommonSet = daySets.sets[countStartsBefore(daySets.starts, window.end.getTime())];
+    const bestCommonArtist = nextCommonSet ? nextCommonSet.artist : null;
+    const bestCommonStage = nextCommonSet ? nextCommonSet.stage : null;
+    const bestCommonStart = nextCommonSet ? new Date(nextCommonSet.start) : null;
     
-    // Find overlapping gaps between schedules
-    if (scheduleGaps.length > 0) {
-      const comparedGaps = [];
+    // Meet at the next common set's stage, otherwise at whichever stage that day leaves the most time
+    const locations = bestCommonStage ? [bestCommonStage] : (window.stages.length > 0 ? window.stages : [null]);
+    let gap = null;
+    let location = null;
+    locations.forEach(candidate => {
+      const fitted = fitWindowToWalks(window, window.schedules, candidate, minSharedGap, setsByName);
+      if (!fitted) return;
       
-      // Compare each gap with gaps from other schedules
-      for (let i = 0; i < scheduleGaps.length; i++) {
-        for (let j = i + 1; j < scheduleGaps.length; j++) {
-          const gapA = scheduleGaps[i];
-          const gapB = scheduleGaps[j];
-          
-          // Skip if both gaps are from the same schedule
-          if (gapA.scheduleName === gapB.scheduleName) continue;
-          
-          // Find the overlapping portion of the two gaps
-          const overlapStart = new Date(Math.max(gapA.start, gapB.start));
-          const overlapEnd = new Date(Math.min(gapA.end, gapB.end));
-          
-          // If there's an overlap and it's at least 15 minutes
-          if (overlapEnd > overlapStart && (overlapEnd - overlapStart) >= 15 * 60 * 1000) {
-            comparedGaps.push({
-              start: overlapStart,
-              end: overlapEnd,
-              schedules: [gapA.scheduleName, gapB.scheduleName]
-            });
-          }
-        }
+      const isBetter = !gap ||
+        fitted.schedules.length > gap.schedules.length ||
+        (fitted.schedules.length === gap.schedules.length && fitted.end - fitted.start > gap.end - gap.start);
+      if (isBetter) {
+        gap = fitted;
+        location = candidate;
       }
-      
-      // Add these general gaps to the meetup gaps
-      comparedGaps.forEach(gap => {
-        // Check if this gap is also a good meetup time for common artists
-        let bestCommonArtist = null;
-        let bestCommonStage = null;
-        let minTimeToCommonArtist = Infinity;
+    });
+    
+    if (!gap) return null;
+    
+    return {
+      ...gap,
+      day: window.day,
+      isRecommended: false,
+      beforeCommonArtist: bestCommonArtist,
+      beforeStage: bestCommonStage,
+      commonSetStart: bestCommonStart,
+      location
+    };
+  };
+  
+  // Add these general gaps to the meetup gaps
+  generalGaps.forEach(window => {
+    const gap = createWindowGap(window, sortedSetsBySchedule);
+    if (!gap) return;
+    
+    // Limit gap duration to the longest meetup window for reasonability
+    if ((gap.end - gap.start) > maxMeetupLength * 60 * 1000) {
+      gap.start = new Date(gap.end.getTime() - maxMeetupLength * 60 * 1000);
+    }
+    
+    meetupGaps.push(gap);
+  });
+  
+  /**
+   * Work out which "maybe" sets friends would have to skip or cut short for a meetup
+   * @param {Object} gap - Meetup gap with start, end, schedules and location
+   * @returns {Array} - Skip objects with schedule, artist, stage, action and minutes missed
+   */
+  const getMaybeSetSkips = (gap) => {
+    const meetupStart = gap.start.getTime();
+    const meetupEnd = gap.end.getTime();
+    const skips = [];
+    
+    gap.schedules.forEach(name => {
+      (sortedSetsBySchedule[name] || []).forEach(({ set, busy }) => {
+        if (set.day !== gap.day || getSetPriority(set) !== 'maybe') return;
         
-        commonSets.forEach(set => {
-          if (!set.start) return;
-          
-          const setStart = new Date(set.start);
-          
-          // If this set starts after the gap
-          if (setStart >= gap.end) {
-            const timeToArtist = setStart - gap.end;
-            
-            // If this is the closest common artist after the gap
-            if (timeToArtist < minTimeToCommonArtist) {
-              minTimeToCommonArtist = timeToArtist;
-              bestCommonArtist = set.artist;
-              bestCommonStage = set.stage;
-            }
-          }
-        });
+        // Only the part of the set the friend planned to catch counts as missed
+        const setStart = busy.start.getTime();
+        const setEnd = busy.end.getTime();
+        const walkFrom = getWalkMinutes(set.stage, gap.location) * 60 * 1000;
+        const walkTo = (travelBuffer + getWalkMinutes(gap.location, set.stage)) * 60 * 1000;
         
-        // Limit gap duration to max 60 minutes for reasonability
-        if ((gap.end - gap.start) > 60 * 60 * 1000) {
-          const newStart = new Date(gap.end);
-          newStart.setHours(newStart.getHours() - 1);
-          gap.start = newStart;
-        }
+        // Time the friend can still spend at the set before and after the meetup
+        const before = Math.max(0, Math.min(setEnd, meetupStart - walkFrom) - setStart);
+        const after = Math.max(0, setEnd - Math.max(setStart, meetupEnd + walkTo));
+        const missed = Math.round((setEnd - setStart - before - after) / (60 * 1000));
+        if (missed <= 0) return;
         
-        meetupGaps.push({
-          ...gap,
-          isRecommended: false,
-          beforeCommonArtist: bestCommonArtist,
-          beforeStage: bestCommonStage
-        });
+        let action = 'skip';
+        if (before > 0 && after > 0) action = 'step-out';
+        else if (before > 0) action = 'leave-early';
+        else if (after > 0) action = 'arrive-late';
+        
+        skips.push({ schedule: name, artist: set.artist, stage: set.stage, action, minutes: missed });
       });
-    }
-  }
-  
-  // Helper function to adjust time for festival sorting (8am as starting point)
-  const getAdjustedSortTime = (date) => {
-    const hours = date.getHours();
-    const minutes = date.getMinutes();
-    
-    // Calculate hours offset from 8am (0-23 hours scale)
-    // Hours 8-23 come first (0-15), then hours 0-7 (16-23)
-    const adjustedHours = (hours >= 8) ? hours - 8 : hours + 16;
+    });
     
-    // Return a comparable value (hours * 60 + minutes) for easy sorting
-    return adjustedHours * 60 + minutes;
+    return skips;
   };
-
-  // Sort meetups: recommended first, then by adjusted time starting from 8am
-  meetupGaps.sort((a, b) => {
-    if (a.isRecommended !== b.isRecommended) {
-      return a.isRecommended ? -1 : 1;
-    }
+  
+  // Sets each friend will not give up, for finding windows that open up by skipping "maybe" sets
+  const firmSetsBySchedule = {};
+  Object.keys(sortedSetsBySchedule).forEach(name => {
+    firmSetsBySchedule[name] = sortedSetsBySchedule[name].filter(entry => getSetPriority(entry.set) !== 'maybe');
+  });
+  
+  // Extra options: windows that only open up if friends skip or cut short a "maybe" set
+  const flexibleGaps = [];
+  dayContexts.forEach(({ dayId, daySchedules, dayStart, dayEnd, stages }) => {
+    const hasMaybeSets = daySchedules.some(schedule => schedule.sets.some(set => getSetPriority(set) === 'maybe'));
+    if (!hasMaybeSets) return;
+    
+    const firmSchedules = daySchedules.map(schedule => ({
+      name: schedule.name,
+      sets: schedule.sets.filter(set => getSetPriority(set) !== 'maybe')
+    }));
     
-    // Sort by festival time (8am as starting point)
-    const timeA = getAdjustedSortTime(new Date(a.start));
-    const timeB = getAdjustedSortTime(new Date(b.start));
-    return timeA - timeB;
+    findAvailabilityWindows(firmSchedules, {
+      start: dayStart,
+      end: dayEnd,
+      defaultSetDuration,
+      travelBuffer,
+      minDuration: minSharedGap,
+      minSchedules: 2
+    }).forEach(window => {
+      const gap = createWindowGap({ ...window, day: dayId, stages }, firmSetsBySchedule);
+      if (!gap) return;
+      
+      // Place an over-long window where it costs the least "maybe" time
+      if ((gap.end - gap.start) > maxMeetupLength * 60 * 1000) {
+        const length = maxMeetupLength * 60 * 1000;
+        const placements = [
+          { ...gap, end: new Date(gap.start.getTime() + length) },
+          { ...gap, start: new Date(gap.end.getTime() - length) }
+        ];
+        const getMissedMinutes = (placement) => getMaybeSetSkips(placement).reduce((sum, skip) => sum + skip.minutes, 0);
+        Object.assign(gap, placements.reduce((best, placement) => (
+          getMissedMinutes(placement) < getMissedMinutes(best) ? placement : best
+        )));
+      }
+      
+      // Windows that need nothing skipped are already covered by the regular suggestions
+      const skips = getMaybeSetSkips(gap);
+      if (skips.length === 0) return;
+      
+      // Skip options that do not beat a regular suggestion overlapping the same time
+      const isCovered = meetupGaps.some(other =>
+        other.day === gap.day &&
+        other.start < gap.end && other.end > gap.start &&
+        gap.schedules.every(name => (other.schedules.includes(name) || (other.commonSchedules || []).includes(name)))
+      );
+      if (isCovered) return;
+      
+      flexibleGaps.push({ ...gap, isFlexible: true, skips });
+    });
+  });
+  
+  // Rank by attendees, length, walking, closeness to a common set and spread across the day
+  const rankedGaps = rankMeetups(meetupGaps, {
+    totalFriends: schedules.length,
+    maxMeetupLength
+  });
+  
+  const rankedFlexibleGaps = rankMeetups(flexibleGaps, {
+    totalFriends: schedules.length,
+    maxMeetupLength
   });
   
-  // Limit to a reasonable number of meetup options
-  return meetupGaps.slice(0, 8);
+  // Limit to the requested number of meetup options, followed by the best options that need skipping
+  return [
+    ...rankedGaps.slice(0, maxSuggestions),
+    ...rankedFlexibleGaps.slice(0, MAX_SKIP_SUGGESTIONS)
+  ];
 };
 
 export default findSharedGaps;
@@ -0,0 +1,128 @@
+import getSetEnd from './getSetEnd';
+import getBusyWindow from './getBusyWindow';
+import { DEFAULT_PLANNER_SETTINGS } from './plannerSettings';
+import { getWalkTime } from './stageDistances';
+import { sortByFestivalTime } from './festivalClock';
+import addPersonalBusyTimes from './personalTime';
+
+/**
+ * Create a key identifying a set across schedules (same day, artist, stage and start time)
+ * Sets picked from the festival lineup get the same key as copies of them added any other way
+ * @example
+ * // Both give "day-1|fisher|neon garden|21:00", so the two friends share the set
+ * getSharedSetKey({ day: 'day-1', artist: 'FISHER', stage: 'Neon Garden', start: '2025-05-16T21:00:00', lineupId: 'day-1:fisher:neon-garden:2100' });
+ * getSharedSetKey({ day: 'day-1', artist: 'Fisher ', stage: 'neon garden', start: '2025-05-16T21:00:00' });
+ * @param {Object} set - Set object
+ * @returns {string|null} - The set key, or null if the set has no artist or start time
+ */
+export const getSharedSetKey = (set) => {
+  if (!set || !set.artist || !set.start) return null;
+  const artist = set.artist.toLowerCase().trim();
+  const stage = set.stage ? set.stage.toLowerCase().trim() : 'unknown';
+  const date = new Date(set.start);
+  const timeStr = `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+  const day = set.day || '';
+  return `${day}|${artist}|${stage}|${timeStr}`;
+};
+
+/**
+ * Find every set that appears in at least two schedules, with who is going,
+ * who is free to join and where to meet up before it
+ * A friend can join when they are at the festival that day and nothing they have
+ * planned stops them getting to the set in time, including the walk between stages
+ * @param {Array} schedules - Array of schedule objects with name and sets
+ * @param {Object} settings - Planner settings (see DEFAULT_PLANNER_SETTINGS)
+ * @param {Object} festival - Festival details
+ * @param {Object} festival.stageDistances - Walking minutes between stage pairs
+ * @param {Array} festival.days - Configured festival days, used for ordering
+ * @returns {Array} - Shared sets ordered by festival day and time
+ */
+const findSharedSets = (schedules, settings = {}, festival = {}) => {
+  if (!schedules || schedules.length < 2) return [];
+
+  // Arrival, departure and personal busy blocks stop a friend joining a set
+  schedules = addPersonalBusyTimes(schedules);
+
+  const { stageDistances = {}, days: festivalDays = [] } = festival;
+  const {
+    defaultSetDuration,
+    meetupLength,
+    travelBuffer,
+    defaultWalkTime
+  } = { ...DEFAULT_PLANNER_SETTINGS, ...settings };
+
+  // Group identical sets across schedules
+  const setsByKey = {};
+  schedules.forEach(schedule => {
+    (schedule.sets || []).forEach(set => {
+      const key = getSharedSetKey(set);
+      if (!key || !getSetEnd(set, defaultSetDuration)) return;
+
+      if (!setsByKey[key]) {
+        setsByKey[key] = { set, going: [] };
+      }
+      if (!setsByKey[key].going.includes(schedule.name)) {
+        setsByKey[key].going.push(schedule.name);
+      }
+    });
+  });
+
+  /**
+   * Check whether a friend is free to get to a set, watch it and get to their next one
+   * @param {Object} schedule - Schedule of the friend
+   * @param {Object} set - The shared set
+   * @returns {boolean} - True if the friend could join
+   */
+  const canJoin = (schedule, set) => {
+    const daySets = (schedule.sets || []).filter(other => other.day === set.day);
+    if (daySets.length === 0) return false;
+
+    const setStart = new Date(set.start).getTime();
+    const setEnd = getSetEnd(set, defaultSetDuration).getTime();
+
+    return daySets.every(other => {
+      const busy = getBusyWindow(other, defaultSetDuration);
+      if (!busy) return true;
+
+      const walk = getWalkTime(stageDistances, other.stage, set.stage, defaultWalkTime) * 60 * 1000;
+      const buffer = travelBuffer * 60 * 1000;
+
+      // Either the other set is over in time to walk across, or it starts late enough to walk back
+      return busy.end.getTime() + walk <= setStart - buffer ||
+        busy.start.getTime() - walk - buffer >= setEnd;
+    });
+  };
+
+  const sharedSets = Object.keys(setsByKey)
+    .filter(key => setsByKey[key].going.length >= 2)
+    .map(key => {
+      const { set, going } = setsByKey[key];
+      const start = new Date(set.start);
+
+      // Rally at the stage before the set, leaving the travel buffer to get in
+      const rallyEnd = new Date(start.getTime() - travelBuffer * 60 * 1000);
+      const rallyStart = new Date(rallyEnd.getTime() - meetupLength * 60 * 1000);
+
+      return {
+        key,
+        artist: set.artist,
+        stage: set.stage || 'Unknown Stage',
+        day: set.day,
+        start: set.start,
+        end: getSetEnd(set, defaultSetDuration).toISOString(),
+        going,
+        couldJoin: schedules
+          .filter(schedule => !going.includes(schedule.name) && canJoin(schedule, set))
+          .map(schedule => schedule.name),
+        rallyPoint: {
+          start: rallyStart.toISOString(),
+          end: rallyEnd.toISOString(),
+          location: set.stage || 'Unknown Stage'
+        }
+      };
+    });
+
+  return sortByFestivalTime(sharedSets, festivalDays);
+};
+
+export default findSharedSets;
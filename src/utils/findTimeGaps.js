@@ -1,32 +1,46 @@
+import getBusyWindow from './getBusyWindow';
+import { getFestivalDate, getFestivalDayBounds } from './festivalClock';
+import { DEFAULT_PLANNER_SETTINGS } from './plannerSettings';
+
 /**
  * Find all continuous time gaps between sets in a schedule
- * @param {Array} sets - Array of set objects with start times
+ * All sets are expected to belong to the same festival day
+ * @param {Array} sets - Array of set objects with start and optional end times
+ * @param {Object} settings - Planner settings (see DEFAULT_PLANNER_SETTINGS)
+ * @param {number} settings.defaultSetDuration - Minutes assumed for sets without an end time
+ * @param {number} settings.travelBuffer - Minutes needed to get to a set before it starts
+ * @param {number} settings.minSharedGap - Minimum gap length to return, in minutes
+ * @param {Object} festivalDay - Festival day the sets belong to, whose hours bound the gaps
+ *   (defaults to the default festival hours on the first set's date)
  * @returns {Array} - Array of gap objects with start and end times
  */
-const findTimeGaps = (sets) => {
+const findTimeGaps = (sets, settings = {}, festivalDay) => {
   if (!sets || sets.length === 0) return [];
   
+  const { defaultSetDuration, travelBuffer, minSharedGap } = { ...DEFAULT_PLANNER_SETTINGS, ...settings };
+  const bufferMs = travelBuffer * 60 * 1000;
+  
   // Sort sets by start time
   const sortedSets = [...sets].sort((a, b) => {
     try {
       return new Date(a.start) - new Date(b.start);
-    } catch (e) {
+    } catch {
       return 0;
     }
   });
   
-  // Create time ranges for each set (assuming 1 hour duration)
+  // Create time ranges for each set using its real end time when known
   const timeRanges = sortedSets.map(set => {
     try {
-      const startTime = new Date(set.start);
-      const endTime = new Date(set.start);
-      endTime.setHours(endTime.getHours() + 1);
+      // Only the part of the set the friend plans to catch counts as busy
+      const busy = getBusyWindow(set, defaultSetDuration);
+      if (!busy) return null;
       
       return {
         artist: set.artist,
         stage: set.stage,
-        start: startTime,
-        end: endTime
+        start: busy.start,
+        end: busy.end
       };
     } catch (e) {
       console.error('Error creating time range:', e);
@@ -39,19 +53,15 @@ const findTimeGaps = (sets) => {
   // Find gaps between sets
   const gaps = [];
   
-  // Consider festival day timeframe (12pm to 6am next day)
-  const festivalStart = new Date();
-  festivalStart.setHours(12, 0, 0, 0);
-  
-  const festivalEnd = new Date();
-  festivalEnd.setDate(festivalEnd.getDate() + 1);
-  festivalEnd.setHours(6, 0, 0, 0);
+  // Consider the festival day's opening hours
+  const day = festivalDay || { date: getFestivalDate(timeRanges[0].start) };
+  const { start: festivalStart, end: festivalEnd } = getFestivalDayBounds(day);
   
   // Add gap from festival start to first set if needed
   if (timeRanges[0].start > festivalStart) {
     gaps.push({
       start: festivalStart,
-      end: timeRanges[0].start,
+      end: new Date(timeRanges[0].start.getTime() - bufferMs),
       beforeArtist: timeRanges[0].artist,
       beforeStage: timeRanges[0].stage
     });
@@ -60,7 +70,8 @@ const findTimeGaps = (sets) => {
   // Add gaps between sets
   for (let i = 0; i < timeRanges.length - 1; i++) {
     const currentEnd = timeRanges[i].end;
-    const nextStart = timeRanges[i + 1].start;
+    // Leave the travel buffer to get to the next set
+    const nextStart = new Date(timeRanges[i + 1].start.getTime() - bufferMs);
     
     if (nextStart > currentEnd) {
       gaps.push({
@@ -83,7 +94,8 @@ const findTimeGaps = (sets) => {
     });
   }
   
-  return gaps;
+  // Drop gaps too short to meet up in
+  return gaps.filter(gap => gap.end - gap.start >= minSharedGap * 60 * 1000);
 };
 
 export default findTimeGaps;
@@ -0,0 +1,143 @@
+import getBusyWindow from './getBusyWindow';
+import { getFestivalDayBounds } from './festivalClock';
+import { DEFAULT_PLANNER_SETTINGS } from './plannerSettings';
+import { getWalkTime } from './stageDistances';
+import { getSetPriority } from './setPriority';
+import addPersonalBusyTimes from './personalTime';
+
+// Most what-if suggestions to return
+const MAX_WHAT_IF_SUGGESTIONS = 5;
+
+/**
+ * Find the smallest single changes that would let everyone meet up
+ * For each set a friend could give up part of, the meetup is held at that set's stage
+ * and placed to cut into the set as little as possible. "Must see" sets and personal
+ * busy time are never suggested, and "maybe" sets win ties
+ * @param {Array} schedules - Array of schedule objects with name and sets
+ * @param {Object} settings - Planner settings (see DEFAULT_PLANNER_SETTINGS)
+ * @param {Object} festival - Festival details
+ * @param {Object} festival.stageDistances - Walking minutes between stage pairs
+ * @param {Array} festival.days - Configured festival days, used for festival hours
+ * @returns {Array} - Meetups with the skip needed for each, least sacrificed first
+ */
+const findWhatIfMeetups = (schedules, settings = {}, festival = {}) => {
+  if (!schedules || schedules.length < 2) return [];
+
+  // Arrival, departure and personal busy blocks are busy time that cannot be given up
+  schedules = addPersonalBusyTimes(schedules);
+
+  const { stageDistances = {}, days: festivalDays = [] } = festival;
+  const {
+    defaultSetDuration,
+    meetupLength,
+    travelBuffer,
+    defaultWalkTime
+  } = { ...DEFAULT_PLANNER_SETTINGS, ...settings };
+  const length = meetupLength * 60 * 1000;
+
+  const suggestions = [];
+  const dayIds = [...new Set(schedules.flatMap(schedule => (schedule.sets || []).map(set => set.day)))];
+
+  dayIds.forEach(dayId => {
+    // Everyone with sets on this day, with the part of each set they are there for
+    const daySchedules = schedules
+      .map(schedule => ({
+        name: schedule.name,
+        entries: (schedule.sets || [])
+          .filter(set => set.day === dayId)
+          .map(set => ({ set, busy: getBusyWindow(set, defaultSetDuration) }))
+          .filter(entry => entry.busy)
+      }))
+      .filter(schedule => schedule.entries.length > 0);
+
+    if (daySchedules.length < 2) return;
+
+    // Meetups happen between the first set anyone gets to and the last one anyone leaves,
+    // within the day's festival hours
+    const allEntries = daySchedules.flatMap(schedule => schedule.entries).filter(entry => !entry.set.isPersonal);
+    if (allEntries.length === 0) return;
+    let dayStart = Math.min(...allEntries.map(entry => entry.busy.start.getTime()));
+    let dayEnd = Math.max(...allEntries.map(entry => entry.busy.end.getTime()));
+    const festivalDay = festivalDays.find(day => day.id === dayId);
+    if (festivalDay) {
+      const bounds = getFestivalDayBounds(festivalDay);
+      dayStart = Math.max(dayStart, bounds.start.getTime());
+      dayEnd = Math.min(dayEnd, bounds.end.getTime());
+    }
+
+    daySchedules.forEach(({ name, entries }) => {
+      entries.forEach(skipped => {
+        if (skipped.set.isPersonal || getSetPriority(skipped.set) === 'must') return;
+
+        const location = skipped.set.stage;
+
+        // Times each friend cannot be at the meetup, allowing for walking to and from their sets
+        const blocked = daySchedules.flatMap(schedule => schedule.entries
+          .filter(entry => entry !== skipped)
+          .map(entry => {
+            const walkTo = getWalkTime(stageDistances, location, entry.set.stage, defaultWalkTime);
+            const walkFrom = getWalkTime(stageDistances, entry.set.stage, location, defaultWalkTime);
+            return {
+              start: entry.busy.start.getTime() - (travelBuffer + walkTo) * 60 * 1000,
+              end: entry.busy.end.getTime() + walkFrom * 60 * 1000
+            };
+          }))
+          .sort((a, b) => a.start - b.start);
+
+        // Walk through the blocked times to find windows where everyone is free
+        const freeWindows = [];
+        let cursor = dayStart;
+        blocked.forEach(interval => {
+          if (interval.start > cursor) {
+            freeWindows.push({ start: cursor, end: Math.min(interval.start, dayEnd) });
+          }
+          cursor = Math.max(cursor, interval.end);
+        });
+        if (cursor < dayEnd) freeWindows.push({ start: cursor, end: dayEnd });
+
+        const setStart = skipped.busy.start.getTime();
+        const setEnd = skipped.busy.end.getTime();
+        let best = null;
+
+        freeWindows.forEach(window => {
+          if (window.end - window.start < length) return;
+
+          // The least of the set is missed with the meetup at one end of the window
+          [window.start, window.end - length].forEach(start => {
+            const end = start + length;
+            const missed = Math.max(0, Math.min(end, setEnd) - Math.max(start, setStart));
+            if (missed === 0) return;
+            if (!best || missed < best.missed) best = { start, end, missed };
+          });
+        });
+
+        if (!best) return;
+
+        let action = 'skip';
+        if (best.start > setStart && best.end < setEnd) action = 'step-out';
+        else if (best.start > setStart) action = 'leave-early';
+        else if (best.end < setEnd) action = 'arrive-late';
+
+        const minutes = Math.round(best.missed / (60 * 1000));
+        suggestions.push({
+          start: new Date(best.start),
+          end: new Date(best.end),
+          day: dayId,
+          schedules: daySchedules.map(schedule => schedule.name),
+          location,
+          isWhatIf: true,
+          isMaybeSet: getSetPriority(skipped.set) === 'maybe',
+          missedMinutes: minutes,
+          skips: [{ schedule: name, artist: skipped.set.artist, stage: skipped.set.stage, action, minutes }]
+        });
+      });
+    });
+  });
+
+  // Least sacrificed first, preferring sets friends were unsure about
+  return suggestions
+    .sort((a, b) => (a.missedMinutes - b.missedMinutes) || (b.isMaybeSet - a.isMaybeSet) || (a.start - b.start))
+    .slice(0, MAX_WHAT_IF_SUGGESTIONS);
+};
+
+export default findWhatIfMeetups;
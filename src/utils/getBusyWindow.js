@@ -0,0 +1,52 @@
+import getSetEnd, { DEFAULT_SET_DURATION_MINUTES } from './getSetEnd';
+
+/**
+ * Parse an optional attendance time, keeping it only if it falls within the set
+ * @param {string} time - ISO string
+ * @param {Date} start - Set start
+ * @param {Date} end - Set end
+ * @returns {Date|null} - The time, or null if missing or outside the set
+ */
+const parseAttendanceTime = (time, start, end) => {
+  if (!time) return null;
+  const date = new Date(time);
+  if (isNaN(date.getTime()) || date < start || date > end) return null;
+  return date;
+};
+
+/**
+ * Resolve the part of a set a friend is actually there for
+ * Sets can carry optional arriveAt / leaveAt times for catching only part of a set;
+ * without them the friend is busy for the whole set
+ * @param {Object} set - Set object with start, optional end, arriveAt and leaveAt times
+ * @param {number} defaultDuration - Minutes to assume when the set has no valid end time
+ * @returns {Object|null} - Object with start and end dates, or null if the set has no valid start time
+ */
+const getBusyWindow = (set, defaultDuration = DEFAULT_SET_DURATION_MINUTES) => {
+  const setEnd = getSetEnd(set, defaultDuration);
+  if (!setEnd) return null;
+  const setStart = new Date(set.start);
+
+  const arrive = parseAttendanceTime(set.arriveAt, setStart, setEnd);
+  const leave = parseAttendanceTime(set.leaveAt, setStart, setEnd);
+
+  const start = arrive || setStart;
+  const end = leave && leave > start ? leave : setEnd;
+
+  return { start, end };
+};
+
+/**
+ * Check whether a friend only plans to catch part of a set
+ * @param {Object} set - Set object
+ * @param {number} defaultDuration - Minutes to assume when the set has no valid end time
+ * @returns {boolean} - True if the busy window is shorter than the set
+ */
+export const isPartialAttendance = (set, defaultDuration = DEFAULT_SET_DURATION_MINUTES) => {
+  const busy = getBusyWindow(set, defaultDuration);
+  if (!busy) return false;
+  return busy.start.getTime() !== new Date(set.start).getTime() ||
+    busy.end.getTime() !== getSetEnd(set, defaultDuration).getTime();
+};
+
+export default getBusyWindow;
@@ -0,0 +1,43 @@
+/**
+ * Default set length (in minutes) used when a set has no known end time
+ */
+export const DEFAULT_SET_DURATION_MINUTES = 60;
+
+/**
+ * Resolve the end time of a set, falling back to a default duration when the end is unknown
+ * @param {Object} set - Set object with a start and an optional end time
+ * @param {number} defaultDuration - Minutes to assume when the set has no valid end time
+ * @returns {Date|null} - The end time, or null if the set has no valid start time
+ */
+const getSetEnd = (set, defaultDuration = DEFAULT_SET_DURATION_MINUTES) => {
+  if (!set || !set.start) return null;
+
+  const start = new Date(set.start);
+  if (isNaN(start.getTime())) return null;
+
+  // Use the real end time whenever it is valid and after the start
+  if (set.end) {
+    const end = new Date(set.end);
+    if (!isNaN(end.getTime()) && end > start) {
+      return end;
+    }
+  }
+
+  // Otherwise assume the configured default set length
+  const minutes = Number(defaultDuration) > 0 ? Number(defaultDuration) : DEFAULT_SET_DURATION_MINUTES;
+  return new Date(start.getTime() + minutes * 60 * 1000);
+};
+
+/**
+ * Check whether a set carries a usable end time of its own
+ * @param {Object} set - Set object
+ * @returns {boolean} - True if the set has a valid end time after its start
+ */
+export const hasKnownEnd = (set) => {
+  if (!set || !set.start || !set.end) return false;
+  const start = new Date(set.start);
+  const end = new Date(set.end);
+  return !isNaN(start.getTime()) && !isNaN(end.getTime()) && end > start;
+};
+
+export default getSetEnd;
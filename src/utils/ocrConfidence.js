@@ -0,0 +1,117 @@
+/**
+ * Fields below this Tesseract confidence (0-100) are highlighted for review
+ */
+export const LOW_CONFIDENCE = 70;
+
+/**
+ * Split text into lowercase letters-and-digits tokens for matching against OCR words
+ * @param {string} text - Text to split
+ * @returns {Array} - Tokens
+ */
+const getTokens = (text) => (text || '')
+  .toLowerCase()
+  .split(/\s+/)
+  .map(token => token.replace(/[^a-z0-9]/g, ''))
+  .filter(token => token);
+
+/**
+ * Find the OCR words a field's text was read from
+ * Looks for the words in a row first, then for each word anywhere
+ * @param {string} text - Field text, e.g. the artist name
+ * @param {Array} words - OCR words with text, confidence and bbox
+ * @returns {Array} - Words the text came from, empty if it was not found
+ */
+const findWordsForText = (text, words) => {
+  const tokens = getTokens(text);
+  if (tokens.length === 0) return [];
+
+  const wordTokens = words.map(word => getTokens(word.text).join(''));
+  for (let i = 0; i + tokens.length <= words.length; i++) {
+    if (tokens.every((token, offset) => wordTokens[i + offset] === token)) {
+      return words.slice(i, i + tokens.length);
+    }
+  }
+
+  const found = tokens.map(token => words[wordTokens.indexOf(token)]).filter(word => word);
+  return found.length === tokens.length ? found : [];
+};
+
+/**
+ * Find the OCR word a set's start time was read from, in 12-hour or 24-hour form
+ * When several words match, the one nearest the set's artist is used
+ * @param {string} start - Set start as an ISO string
+ * @param {Array} words - OCR words with text, confidence and bbox
+ * @param {Array} artistWords - Words the artist was read from, if found
+ * @returns {Array} - The word the time came from, empty if it was not found
+ */
+const findWordsForTime = (start, words, artistWords) => {
+  const date = new Date(start);
+  const hours = date.getHours();
+  const minutes = date.getMinutes().toString().padStart(2, '0');
+  const readings = [`${hours % 12 || 12}${minutes}`, `${hours}${minutes}`, `${hours.toString().padStart(2, '0')}${minutes}`];
+
+  // Ranges like "9:30-11:00" can come through as one word, so match the start of the digits
+  const matches = words.filter(candidate => {
+    const digits = (candidate.text || '').replace(/[^0-9]/g, '');
+    return readings.some(reading => digits.startsWith(reading));
+  });
+  if (matches.length === 0) return [];
+  if (artistWords.length === 0) return [matches[0]];
+
+  const artistY = artistWords[0].bbox.y0;
+  const nearest = matches.reduce((best, candidate) => (
+    Math.abs(candidate.bbox.y0 - artistY) < Math.abs(best.bbox.y0 - artistY) ? candidate : best
+  ));
+  return [nearest];
+};
+
+/**
+ * Get the smallest box around some words
+ * @param {Array} words - OCR words with bbox
+ * @returns {Object|null} - Box with x0, y0, x1 and y1, or null without words
+ */
+const getWordsBox = (words) => {
+  if (words.length === 0) return null;
+  return {
+    x0: Math.min(...words.map(word => word.bbox.x0)),
+    y0: Math.min(...words.map(word => word.bbox.y0)),
+    x1: Math.max(...words.map(word => word.bbox.x1)),
+    y1: Math.max(...words.map(word => word.bbox.y1))
+  };
+};
+
+/**
+ * Work out how sure OCR was of each field of some parsed sets
+ * A field is as sure as its shakiest word, and a field that cannot be traced back to
+ * the image (such as a stage the parser had to guess) counts as 0
+ * @param {Array} sets - Sets parsed from the OCR text
+ * @param {Array} words - OCR words with text, confidence and bbox
+ * @returns {Array} - Entries with the set, a confidence (0-100) for its artist, stage and time,
+ * and the box around the words it was read from (null if none were found)
+ */
+const getOcrConfidence = (sets, words = []) => {
+  const usable = words.filter(word => word.bbox && word.text);
+
+  return sets.map(set => {
+    const artistWords = findWordsForText(set.artist, usable);
+    const fieldWords = {
+      artist: artistWords,
+      stage: findWordsForText(set.stage, usable),
+      time: findWordsForTime(set.start, usable, artistWords)
+    };
+    const getConfidence = (found) => (found.length > 0 ? Math.round(Math.min(...found.map(word => word.confidence))) : 0);
+
+    return {
+      set,
+      confidence: {
+        artist: getConfidence(fieldWords.artist),
+        stage: getConfidence(fieldWords.stage),
+        time: getConfidence(fieldWords.time)
+      },
+      // Stage names repeat down the screenshot, so the snippet is cut around the artist and time
+      bbox: getWordsBox([...fieldWords.artist, ...fieldWords.time]) || getWordsBox(fieldWords.stage)
+    };
+  });
+};
+
+export default getOcrConfidence;
@@ -0,0 +1,194 @@
+import { createWorker } from 'tesseract.js';
+
+// Each Tesseract worker holds its own copy of the language data, so phones get one
+// and larger devices two, leaving a core free for the page
+const MAX_WORKERS = typeof navigator !== 'undefined' && navigator.hardwareConcurrency > 2 ? 2 : 1;
+
+// Persistent workers, created when first needed and reused for every image
+const slots = [];
+
+// Images waiting for a free worker, oldest first
+const queue = [];
+
+/**
+ * Create the error used to reject images whose batch was cancelled
+ * @returns {Error} - Error marked as a cancellation
+ */
+const createCancelledError = () => {
+  const error = new Error('OCR cancelled');
+  error.cancelled = true;
+  return error;
+};
+
+/**
+ * Check whether an OCR error came from cancelling the batch
+ * @param {Error} error - Error thrown by recognizeImage
+ * @returns {boolean} - True if the image was cancelled rather than failing
+ */
+export const isOcrCancelled = (error) => Boolean(error && error.cancelled);
+
+/**
+ * Start a worker slot and load the English language data into it
+ * @returns {Object} - Slot with a promise of the ready worker and the job it is running
+ */
+const createSlot = () => {
+  const slot = { job: null, parameters: null };
+
+  slot.worker = (async () => {
+    const worker = await createWorker({
+      logger: message => {
+        if (slot.job && message.status === 'recognizing text') {
+          slot.job.onProgress(message.progress);
+        }
+      }
+    });
+    await worker.loadLanguage('eng');
+    await worker.initialize('eng');
+    return worker;
+  })();
+
+  return slot;
+};
+
+/**
+ * Stop a slot's worker and drop it from the pool; a new one is created when needed
+ * @param {Object} slot - Worker slot
+ */
+const removeSlot = (slot) => {
+  const idx = slots.indexOf(slot);
+  if (idx >= 0) slots.splice(idx, 1);
+  slot.worker.then(worker => worker.terminate()).catch(() => {});
+};
+
+/**
+ * Recognize one image on a slot, setting the job's Tesseract parameters first if they changed
+ * @param {Object} slot - Worker slot
+ * @param {Object} job - Queued job
+ */
+const runJob = async (slot, job) => {
+  const worker = await slot.worker;
+  const parameters = JSON.stringify(job.parameters);
+  if (slot.parameters !== parameters) {
+    await worker.setParameters(job.parameters);
+    slot.parameters = parameters;
+  }
+
+  const { data } = await worker.recognize(job.image);
+  return data;
+};
+
+/**
+ * Hand queued images to idle workers, starting new workers up to the pool size
+ */
+const processQueue = () => {
+  while (queue.length > 0) {
+    let slot = slots.find(candidate => !candidate.job);
+    if (!slot && slots.length < MAX_WORKERS) {
+      slot = createSlot();
+      slots.push(slot);
+    }
+    if (!slot) return;
+
+    const job = queue.shift();
+    slot.job = job;
+    job.slot = slot;
+
+    runJob(slot, job)
+      .then(job.resolve, error => {
+        // A worker that failed to start is replaced on the next job
+        removeSlot(slot);
+        job.reject(error);
+      })
+      .finally(() => {
+        // Cancelled jobs have already freed their slot
+        if (slot.job !== job) return;
+        slot.job = null;
+        processQueue();
+      });
+  }
+};
+
+/**
+ * Recognize the text in an image on the shared worker pool
+ * @param {File|Blob|string} image - Image to read
+ * @param {Object} options - Recognition options
+ * @param {Object} options.parameters - Tesseract parameters such as a character whitelist (they stay set on the worker until changed)
+ * @param {Function} options.onProgress - Function to call with the progress from 0 to 1
+ * @param {Object} options.batch - Batch from createOcrBatch the image belongs to
+ * @returns {Promise} - Promise of Tesseract's result data, rejected if cancelled
+ */
+export const recognizeImage = (image, options = {}) => {
+  const { parameters = {}, onProgress = () => {}, batch = null } = options;
+
+  if (batch && batch.cancelled) return Promise.reject(createCancelledError());
+
+  return new Promise((resolve, reject) => {
+    const job = { image, parameters, onProgress, batch, slot: null };
+    job.resolve = (data) => {
+      // A restarted worker can still finish an image whose batch was cancelled
+      if (batch && batch.cancelled) return;
+      onProgress(1);
+      resolve(data);
+    };
+    job.reject = reject;
+
+    if (batch) batch.jobs.push(job);
+    queue.push(job);
+    processQueue();
+  });
+};
+
+/**
+ * Cancel every image in a batch that has not finished yet
+ * Queued images are dropped and workers part-way through one are restarted
+ * @param {Object} batch - Batch from createOcrBatch
+ */
+const cancelOcrBatch = (batch) => {
+  batch.cancelled = true;
+
+  batch.jobs.forEach(job => {
+    const queuedIdx = queue.indexOf(job);
+    if (queuedIdx >= 0) {
+      queue.splice(queuedIdx, 1);
+    } else if (job.slot && job.slot.job === job) {
+      // Tesseract cannot stop a recognition part-way, so the worker is replaced
+      job.slot.job = null;
+      removeSlot(job.slot);
+    } else {
+      return;
+    }
+    job.reject(createCancelledError());
+  });
+
+  processQueue();
+};
+
+/**
+ * Recognize several images at once, sharing the worker pool
+ * @param {Array} images - Images to read
+ * @param {Object} options - Recognition options
+ * @param {Object} options.parameters - Tesseract parameters such as a character whitelist
+ * @param {Function} options.onProgress - Function to call with an image's index and its progress from 0 to 1
+ * @returns {Object} - Batch with a results promise (one entry per image: the result data,
+ * or null if it failed or was cancelled) and a cancel function
+ */
+const createOcrBatch = (images, options = {}) => {
+  const { parameters, onProgress = () => {} } = options;
+  const batch = { cancelled: false, jobs: [] };
+
+  const results = Promise.all(images.map((image, idx) => (
+    recognizeImage(image, { parameters, batch, onProgress: progress => onProgress(idx, progress) })
+      .catch(error => {
+        if (!isOcrCancelled(error)) console.error('OCR failed:', error);
+        return null;
+      })
+  )));
+
+  return {
+    results,
+    cancel: () => cancelOcrBatch(batch),
+    isCancelled: () => batch.cancelled
+  };
+};
+
+export default createOcrBatch;
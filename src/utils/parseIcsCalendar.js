@@ -0,0 +1,238 @@
+import { getFestivalDate, getFestivalDayBounds } from './festivalClock';
+
+// Events longer than this are treated as spanning several festival days
+// (a camping pass or an all-weekend art installation) rather than a single set
+const MAX_SINGLE_SET_MINUTES = 24 * 60;
+
+/**
+ * Join folded lines back together; a line starting with a space or tab continues the one before
+ * @param {string} text - iCalendar text
+ * @returns {Array} - Unfolded content lines
+ */
+const unfoldLines = (text) => (text || '')
+  .replace(/\r\n?/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n')
+  .filter(line => line.trim());
+
+/**
+ * Split a content line such as "DTSTART;TZID=Europe/London:20250627T213000" into its parts
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null} - Object with name, params (uppercase keys) and value, or null if malformed
+ */
+const parseContentLine = (line) => {
+  const match = line.match(/^([A-Za-z0-9-]+)((?:;[^:]*)?):(.*)$/);
+  if (!match) return null;
+
+  const params = {};
+  match[2].split(';').filter(param => param).forEach(param => {
+    const [key, ...value] = param.split('=');
+    params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: match[1].toUpperCase(), params, value: match[3] };
+};
+
+/**
+ * Undo iCalendar text escaping (\, \; \n \\)
+ * @param {string} value - Escaped text value
+ * @returns {string} - Plain text
+ */
+const unescapeText = (value) => value
+  .replace(/\\[nN]/g, ' ')
+  .replace(/\\([,;\\])/g, '$1')
+  .trim();
+
+/**
+ * Get how far a time zone is ahead of UTC at a moment
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} - Offset in milliseconds
+ */
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(timestamp));
+  const get = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - timestamp;
+};
+
+/**
+ * Read an iCalendar date or date-time value
+ * UTC times ("Z") and times with a known TZID are converted exactly; floating times and
+ * time zones the browser does not know (such as Windows names) are read as local time
+ * @param {string} value - Value such as "20250516T230000Z" or "20250516"
+ * @param {Object} params - Property parameters, e.g. TZID and VALUE
+ * @returns {Object|null} - Object with the date and whether it is a whole day, or null if invalid
+ */
+const parseIcsDate = (value, params = {}) => {
+  const match = (value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  const fields = [year, month - 1, day, hours || 0, minutes || 0, seconds || 0].map(Number);
+  if (!hours) return { date: new Date(...fields), isAllDay: true };
+  if (utc) return { date: new Date(Date.UTC(...fields)), isAllDay: false };
+
+  if (params.TZID) {
+    try {
+      // Guess with the offset at the wall time, then correct it in case a DST change falls between
+      const wallTime = Date.UTC(...fields);
+      const guess = wallTime - getTimeZoneOffset(wallTime, params.TZID);
+      return { date: new Date(wallTime - getTimeZoneOffset(guess, params.TZID)), isAllDay: false };
+    } catch (error) {
+      console.error(`Unknown time zone ${params.TZID}, reading times as local`, error);
+    }
+  }
+
+  return { date: new Date(...fields), isAllDay: false };
+};
+
+/**
+ * Read an iCalendar duration such as "PT1H30M" or "P1D"
+ * @param {string} value - Duration value
+ * @returns {number|null} - Length in minutes, or null if invalid
+ */
+const parseIcsDuration = (value) => {
+  const match = (value || '').trim().match(/^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+
+  const [weeks, days, hours, minutes] = match.slice(1, 5).map(part => parseInt(part || '0', 10));
+  return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+};
+
+/**
+ * Read the events from an iCalendar (.ics) file
+ * @param {string} text - iCalendar text
+ * @returns {Array} - Events with summary, location, start and end dates, and isAllDay
+ */
+const parseIcsCalendar = (text) => {
+  const events = [];
+  let current = null;
+  // Depth of components inside the current event, such as alarms, whose properties are not the event's
+  let nestedDepth = 0;
+
+  unfoldLines(text).forEach(line => {
+    const property = parseContentLine(line);
+    if (!property) return;
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+      current = {};
+      nestedDepth = 0;
+    } else if (current && property.name === 'BEGIN') {
+      nestedDepth++;
+    } else if (current && property.name === 'END' && nestedDepth > 0) {
+      nestedDepth--;
+    } else if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+      if (current && current.start) {
+        const end = current.end ||
+          (current.duration !== null && current.duration !== undefined
+            ? new Date(current.start.getTime() + current.duration * 60000)
+            : null);
+        events.push({
+          summary: current.summary || '',
+          location: current.location || '',
+          start: current.start,
+          end: end && end > current.start ? end : null,
+          isAllDay: Boolean(current.isAllDay)
+        });
+      }
+      current = null;
+    } else if (current && nestedDepth === 0) {
+      switch (property.name) {
+        case 'SUMMARY':
+          current.summary = unescapeText(property.value);
+          break;
+        case 'LOCATION':
+          current.location = unescapeText(property.value);
+          break;
+        case 'DTSTART': {
+          const parsed = parseIcsDate(property.value, property.params);
+          if (parsed) {
+            current.start = parsed.date;
+            current.isAllDay = parsed.isAllDay;
+          }
+          break;
+        }
+        case 'DTEND': {
+          const parsed = parseIcsDate(property.value, property.params);
+          if (parsed) current.end = parsed.date;
+          break;
+        }
+        case 'DURATION':
+          current.duration = parseIcsDuration(property.value);
+          break;
+        default:
+          break;
+      }
+    }
+  });
+
+  return events;
+};
+
+/**
+ * Turn calendar events into sets on the configured festival days
+ * An event goes on the festival day it starts in, so late-night sets stay on the night they
+ * belong to; events longer than a day become one set per festival day they cover, cut to
+ * that day's hours. All-day events and events outside the festival days are skipped
+ * @param {Array} events - Events from parseIcsCalendar
+ * @param {Array} festivalDays - Configured festival days
+ * @returns {Object} - Object with the sets and the number of events skipped
+ */
+export const icsEventsToSets = (events, festivalDays = []) => {
+  const sets = [];
+  let skipped = 0;
+
+  events.forEach(event => {
+    if (event.isAllDay || !event.summary) {
+      skipped++;
+      return;
+    }
+
+    const toSet = (day, start, end) => ({
+      day: day.id,
+      artist: event.summary,
+      stage: event.location || 'Unknown Stage',
+      start: start.toISOString(),
+      ...(end && { end: end.toISOString() })
+    });
+
+    const minutes = event.end ? (event.end - event.start) / 60000 : 0;
+    if (minutes <= MAX_SINGLE_SET_MINUTES) {
+      const day = festivalDays.find(festivalDay => getFestivalDate(event.start, festivalDay) === festivalDay.date);
+      if (day) {
+        sets.push(toSet(day, event.start, event.end));
+      } else {
+        skipped++;
+      }
+      return;
+    }
+
+    const daySets = festivalDays
+      .map(day => {
+        const bounds = getFestivalDayBounds(day);
+        const start = event.start > bounds.start ? event.start : bounds.start;
+        const end = event.end < bounds.end ? event.end : bounds.end;
+        return start < end ? toSet(day, start, end) : null;
+      })
+      .filter(set => set);
+    if (daySets.length > 0) {
+      sets.push(...daySets);
+    } else {
+      skipped++;
+    }
+  });
+
+  return { sets, skipped };
+};
+
+export default parseIcsCalendar;
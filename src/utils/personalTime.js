@@ -0,0 +1,91 @@
+import { parseClockTime, placeTimeOnFestivalDay } from './festivalClock';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Create a personal busy block (dinner, shuttle, nap at camp) on a festival day
+ * @param {Object} day - Festival day object
+ * @param {string} label - What the friend is doing
+ * @param {string} startTime - Start time in HH:mm format
+ * @param {string} endTime - End time in HH:mm format
+ * @returns {Object|null} - Block with day, label, start and end ISO strings, or null if the times are invalid
+ */
+export const createPersonalBlock = (day, label, startTime, endTime) => {
+  const start = parseClockTime(startTime);
+  const end = parseClockTime(endTime);
+  if (start === null || end === null || !day) return null;
+
+  const startDate = placeTimeOnFestivalDay(day, Math.floor(start / 60), start % 60);
+  const endDate = placeTimeOnFestivalDay(day, Math.floor(end / 60), end % 60);
+  if (endDate <= startDate) return null;
+
+  return {
+    day: day.id,
+    label: label.trim() || 'Busy',
+    start: startDate.toISOString(),
+    end: endDate.toISOString()
+  };
+};
+
+/**
+ * Place a friend's arrival or departure time on a festival day
+ * @param {Object} day - Festival day object
+ * @param {string} time - Time in HH:mm format, or empty to clear it
+ * @returns {string|null} - ISO string, or null if empty or invalid
+ */
+export const placePresenceTime = (day, time) => {
+  const minutes = parseClockTime(time);
+  if (minutes === null || !day) return null;
+  return placeTimeOnFestivalDay(day, Math.floor(minutes / 60), minutes % 60).toISOString();
+};
+
+/**
+ * Get the times a friend is unavailable for reasons other than sets
+ * Before they arrive and after they leave count as busy for the rest of that day
+ * @param {Object} schedule - Schedule with optional blocks and presence ({ [dayId]: { arriveAt, leaveAt } })
+ * @returns {Array} - Set-like objects with day, label, start and end, marked isPersonal
+ */
+export const getPersonalBusyTimes = (schedule) => {
+  const busy = (schedule.blocks || []).map(block => ({ ...block, isPersonal: true }));
+
+  Object.entries(schedule.presence || {}).forEach(([dayId, { arriveAt, leaveAt } = {}]) => {
+    if (arriveAt) {
+      const arrive = new Date(arriveAt);
+      busy.push({
+        day: dayId,
+        label: 'Not here yet',
+        start: new Date(arrive.getTime() - MINUTES_PER_DAY * 60 * 1000).toISOString(),
+        end: arriveAt,
+        isPersonal: true
+      });
+    }
+    if (leaveAt) {
+      const leave = new Date(leaveAt);
+      busy.push({
+        day: dayId,
+        label: 'Gone for the day',
+        start: leaveAt,
+        end: new Date(leave.getTime() + MINUTES_PER_DAY * 60 * 1000).toISOString(),
+        isPersonal: true
+      });
+    }
+  });
+
+  return busy;
+};
+
+/**
+ * Add each friend's personal busy times to their sets, so the planners treat them as unavailable
+ * Personal times have no artist or stage, so they never count as shared sets or meetup spots
+ * @param {Array} schedules - Array of schedule objects with name and sets
+ * @returns {Array} - New schedules whose sets include the personal busy times
+ */
+const addPersonalBusyTimes = (schedules) => {
+  return schedules.map(schedule => {
+    const personal = getPersonalBusyTimes(schedule);
+    if (personal.length === 0) return schedule;
+    return { ...schedule, sets: [...(schedule.sets || []), ...personal] };
+  });
+};
+
+export default addPersonalBusyTimes;
@@ -0,0 +1,54 @@
+import { DEFAULT_SET_DURATION_MINUTES } from './getSetEnd';
+
+/**
+ * Default planner settings used by the gap engine and the UI
+ * Durations are in minutes, except checkInHours used by the auto-planner
+ */
+export const DEFAULT_PLANNER_SETTINGS = {
+  defaultSetDuration: DEFAULT_SET_DURATION_MINUTES,
+  meetupLength: 15,
+  minSharedGap: 15,
+  maxMeetupLength: 60,
+  travelBuffer: 0,
+  defaultWalkTime: 10,
+  maxSuggestions: 8,
+  checkInHours: 3,
+  maxMeetupsPerDay: 5
+};
+
+/**
+ * Allowed range for each planner setting
+ */
+export const PLANNER_SETTING_LIMITS = {
+  defaultSetDuration: { min: 5, max: 240 },
+  meetupLength: { min: 5, max: 120 },
+  minSharedGap: { min: 5, max: 180 },
+  maxMeetupLength: { min: 15, max: 240 },
+  travelBuffer: { min: 0, max: 60 },
+  defaultWalkTime: { min: 0, max: 60 },
+  maxSuggestions: { min: 1, max: 20 },
+  checkInHours: { min: 1, max: 12 },
+  maxMeetupsPerDay: { min: 1, max: 12 }
+};
+
+/**
+ * Merge saved planner settings with the defaults, clamping values to their allowed range
+ * @param {Object} settings - Saved or partial settings object
+ * @returns {Object} - Complete planner settings object
+ */
+const normalizePlannerSettings = (settings = {}) => {
+  const saved = settings && typeof settings === 'object' ? settings : {};
+  const normalized = { ...DEFAULT_PLANNER_SETTINGS };
+
+  Object.keys(PLANNER_SETTING_LIMITS).forEach(key => {
+    const value = parseInt(saved[key], 10);
+    if (isNaN(value)) return;
+
+    const { min, max } = PLANNER_SETTING_LIMITS[key];
+    normalized[key] = Math.min(max, Math.max(min, value));
+  });
+
+  return normalized;
+};
+
+export default normalizePlannerSettings;
@@ -0,0 +1,248 @@
+// Width screenshots are scaled to, which puts app text at roughly the
+// 300 DPI size Tesseract reads best
+const TARGET_WIDTH = 1600;
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 3;
+
+// Phone screenshots at least this tall for their width have a status bar
+// (clock, battery) across the top, taking up about this much of the height
+const PHONE_ASPECT_RATIO = 1.8;
+const STATUS_BAR_FRACTION = 0.05;
+
+// Images darker than this on average are dark themes and get inverted
+const DARK_THEME_LUMINANCE = 128;
+
+// Adaptive threshold: each pixel is compared with the average of a window
+// this fraction of the image width, and is black when this much darker
+const THRESHOLD_WINDOW_FRACTION = 1 / 16;
+const THRESHOLD_SENSITIVITY = 0.15;
+
+// Space kept around the words in a review snippet, and the widest a snippet is drawn
+const SNIPPET_PADDING = 12;
+const SNIPPET_MAX_WIDTH = 360;
+
+/**
+ * Steps in the preprocessing pipeline, all on by default
+ */
+export const DEFAULT_PREPROCESS_STEPS = {
+  scale: true,
+  cropStatusBar: true,
+  grayscale: true,
+  invertDarkTheme: true,
+  threshold: true
+};
+
+/**
+ * Get the size to scale an image to before OCR
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Object} - Object with the scaled width and height
+ */
+export const getScaledSize = (width, height) => {
+  const scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, TARGET_WIDTH / width));
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+};
+
+/**
+ * Get how many pixels to crop from the top of an image to remove a phone status bar
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {number} - Pixels to crop, 0 for images that are not phone screenshots
+ */
+export const getStatusBarHeight = (width, height) => {
+  return height / width >= PHONE_ASPECT_RATIO ? Math.round(height * STATUS_BAR_FRACTION) : 0;
+};
+
+/**
+ * Convert pixels to grayscale in place, keeping the luminance in every channel
+ * @param {Object} imageData - ImageData with data, width and height
+ * @returns {number} - Average luminance from 0 to 255
+ */
+export const toGrayscale = (imageData) => {
+  const { data } = imageData;
+  let total = 0;
+
+  for (let i = 0; i < data.length; i += 4) {
+    const luminance = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+    data[i] = data[i + 1] = data[i + 2] = luminance;
+    total += luminance;
+  }
+
+  return data.length > 0 ? total / (data.length / 4) : 0;
+};
+
+/**
+ * Invert grayscale pixels in place, so light text on a dark theme becomes dark on light
+ * @param {Object} imageData - ImageData with data, width and height
+ */
+export const invertPixels = (imageData) => {
+  const { data } = imageData;
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = data[i + 1] = data[i + 2] = 255 - data[i];
+  }
+};
+
+/**
+ * Turn grayscale pixels black or white in place, comparing each with its surroundings
+ * so text stays readable on gradients and coloured cards (Bradley's method)
+ * @param {Object} imageData - ImageData with data, width and height
+ */
+export const adaptiveThreshold = (imageData) => {
+  const { data, width, height } = imageData;
+  const half = Math.max(1, Math.floor((width * THRESHOLD_WINDOW_FRACTION) / 2));
+
+  // Summed-area table so every window average takes four lookups
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += data[(y * width + x) * 4];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+
+  for (let y = 0; y < height; y++) {
+    const top = Math.max(0, y - half);
+    const bottom = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const left = Math.max(0, x - half);
+      const right = Math.min(width, x + half + 1);
+      const count = (bottom - top) * (right - left);
+      const sum = integral[bottom * (width + 1) + right] - integral[top * (width + 1) + right] -
+        integral[bottom * (width + 1) + left] + integral[top * (width + 1) + left];
+
+      const idx = (y * width + x) * 4;
+      const value = data[idx] * count <= sum * (1 - THRESHOLD_SENSITIVITY) ? 0 : 255;
+      data[idx] = data[idx + 1] = data[idx + 2] = value;
+    }
+  }
+};
+
+/**
+ * Load an image file into an image element
+ * @param {File|Blob} file - Image file
+ * @returns {Promise} - Promise of the loaded HTMLImageElement
+ */
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error(`Could not load ${file.name || 'image'}`));
+  };
+  image.src = url;
+});
+
+/**
+ * Get the pixel size of an image file
+ * @param {File|Blob} file - Image file
+ * @returns {Promise} - Promise of an object with width and height
+ */
+export const getImageSize = async (file) => {
+  const image = await loadImage(file);
+  return { width: image.naturalWidth, height: image.naturalHeight };
+};
+
+/**
+ * Cut regions out of an image and stack them top to bottom in one image, so only
+ * the parts of a screenshot that hold the schedule are read
+ * @param {File|Blob} file - Image file
+ * @param {Array} regions - Regions with x, y, width and height as fractions of the image (0-1)
+ * @returns {Promise} - Promise of a PNG Blob of the stacked regions
+ */
+export const cropImageRegions = async (file, regions) => {
+  const image = await loadImage(file);
+  const pixels = regions.map(region => ({
+    x: Math.round(region.x * image.naturalWidth),
+    y: Math.round(region.y * image.naturalHeight),
+    width: Math.max(1, Math.round(region.width * image.naturalWidth)),
+    height: Math.max(1, Math.round(region.height * image.naturalHeight))
+  }));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(...pixels.map(region => region.width));
+  canvas.height = pixels.reduce((sum, region) => sum + region.height, 0);
+  const context = canvas.getContext('2d');
+
+  // Narrower regions leave blank space to their right
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  let top = 0;
+  pixels.forEach(region => {
+    context.drawImage(image, region.x, region.y, region.width, region.height, 0, top, region.width, region.height);
+    top += region.height;
+  });
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not crop the image'))), 'image/png');
+  });
+};
+
+/**
+ * Clean up a screenshot so Tesseract can read it: scale it, crop the phone status bar,
+ * convert to grayscale, invert dark themes and threshold it to black and white
+ * @param {File|Blob} file - Image file
+ * @param {Object} steps - Steps to run (see DEFAULT_PREPROCESS_STEPS)
+ * @returns {Promise} - Promise of a PNG Blob of the cleaned-up image
+ */
+const preprocessImage = async (file, steps = DEFAULT_PREPROCESS_STEPS) => {
+  const image = await loadImage(file);
+  const { width, height } = steps.scale
+    ? getScaledSize(image.naturalWidth, image.naturalHeight)
+    : { width: image.naturalWidth, height: image.naturalHeight };
+  const cropTop = steps.cropStatusBar ? getStatusBarHeight(width, height) : 0;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height - cropTop;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(image, 0, -cropTop, width, height);
+
+  if (steps.grayscale || steps.invertDarkTheme || steps.threshold) {
+    const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+
+    // Inverting and thresholding work on the grayscale values
+    const luminance = toGrayscale(imageData);
+    if (steps.invertDarkTheme && luminance < DARK_THEME_LUMINANCE) invertPixels(imageData);
+    if (steps.threshold) adaptiveThreshold(imageData);
+
+    context.putImageData(imageData, 0, 0);
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the cleaned-up image'))), 'image/png');
+  });
+};
+
+/**
+ * Cut out the parts of an image some OCR words were read from, for showing next to them
+ * @param {File|Blob} file - Image that was read
+ * @param {Array} boxes - Boxes around the words, with x0, y0, x1 and y1 in image pixels (or null)
+ * @returns {Promise} - Promise of a PNG data URL per box, null where there was no box
+ */
+export const createImageSnippets = async (file, boxes) => {
+  const image = await loadImage(file);
+
+  return boxes.map(bbox => {
+    if (!bbox) return null;
+
+    const x = Math.max(0, bbox.x0 - SNIPPET_PADDING);
+    const y = Math.max(0, bbox.y0 - SNIPPET_PADDING);
+    const width = Math.min(image.naturalWidth, bbox.x1 + SNIPPET_PADDING) - x;
+    const height = Math.min(image.naturalHeight, bbox.y1 + SNIPPET_PADDING) - y;
+    if (width <= 0 || height <= 0) return null;
+    const scale = Math.min(1, SNIPPET_MAX_WIDTH / width);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext('2d').drawImage(image, x, y, width, height, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png');
+  });
+};
+
+export default preprocessImage;
@@ -0,0 +1,157 @@
+import { DEFAULT_PLANNER_SETTINGS } from './plannerSettings';
+
+/**
+ * Points available for each scoring factor (total of 100)
+ */
+export const SCORE_WEIGHTS = {
+  attendees: 40,
+  length: 20,
+  travel: 15,
+  commonSet: 15,
+  spread: 10
+};
+
+// Walks this long or longer earn no travel points
+const MAX_SCORED_WALK_MINUTES = 30;
+
+// Gaps ending this long before a common set earn no proximity points
+const MAX_COMMON_SET_LEAD_MINUTES = 120;
+
+// Points lost per minute of "maybe" sets friends would miss, and the most that can be lost
+const SKIP_PENALTY_PER_MINUTE = 0.25;
+const MAX_SKIP_PENALTY = 20;
+
+// Suggestions starting within this long of a better one on the same day lose spread points
+const SPREAD_WINDOW_MINUTES = 90;
+
+/**
+ * Get everyone who can attend a meetup (friends already going to the set plus those free to join)
+ * @param {Object} gap - Meetup gap object
+ * @returns {Array} - Unique schedule names
+ */
+export const getMeetupAttendees = (gap) => {
+  return [...new Set([...(gap.commonSchedules || []), ...(gap.schedules || [])])];
+};
+
+/**
+ * Score a meetup on everything except spread, which depends on the other suggestions
+ * @param {Object} gap - Meetup gap object
+ * @param {number} totalFriends - Number of friends in the group
+ * @param {number} maxMeetupLength - Meetup length in minutes that earns full length points
+ * @returns {Object} - Score object with the points per factor and the values behind them
+ */
+const scoreMeetup = (gap, totalFriends, maxMeetupLength) => {
+  const attendees = getMeetupAttendees(gap).length;
+  const freeMinutes = Math.round((new Date(gap.end) - new Date(gap.start)) / (60 * 1000));
+  const walkMinutes = gap.walkMinutes || 0;
+  const missedMinutes = (gap.skips || []).reduce((sum, skip) => sum + skip.minutes, 0);
+
+  // Meetups right before or after a shared set score full points, otherwise the closer the next shared set the better
+  let commonSetPoints = 0;
+  if (gap.isRecommended) {
+    commonSetPoints = SCORE_WEIGHTS.commonSet;
+  } else if (gap.commonSetStart) {
+    const leadMinutes = (new Date(gap.commonSetStart) - new Date(gap.end)) / (60 * 1000);
+    commonSetPoints = SCORE_WEIGHTS.commonSet * Math.max(0, 1 - leadMinutes / MAX_COMMON_SET_LEAD_MINUTES);
+  }
+
+  const factors = {
+    attendees: SCORE_WEIGHTS.attendees * (totalFriends > 0 ? Math.min(1, attendees / totalFriends) : 0),
+    length: SCORE_WEIGHTS.length * Math.min(1, freeMinutes / maxMeetupLength),
+    travel: SCORE_WEIGHTS.travel * Math.max(0, 1 - walkMinutes / MAX_SCORED_WALK_MINUTES),
+    commonSet: commonSetPoints,
+    spread: SCORE_WEIGHTS.spread,
+    skips: -Math.min(MAX_SKIP_PENALTY, missedMinutes * SKIP_PENALTY_PER_MINUTE)
+  };
+
+  return { factors, attendees, totalFriends, freeMinutes, walkMinutes, missedMinutes, crowded: false };
+};
+
+/**
+ * Add up a score's factors
+ * @param {Object} score - Score object from scoreMeetup
+ * @returns {number} - Total score out of 100
+ */
+const getTotal = (score) => Math.round(Object.values(score.factors).reduce((sum, points) => sum + points, 0));
+
+/**
+ * Score and rank meetup suggestions, best first
+ * Suggestions are picked one at a time so that a slot close to an already
+ * picked one on the same day loses its spread points
+ * @param {Array} gaps - Array of meetup gap objects
+ * @param {Object} options - Ranking options
+ * @param {number} options.totalFriends - Number of friends in the group
+ * @param {number} options.maxMeetupLength - Meetup length in minutes that earns full length points
+ * @returns {Array} - New array of gaps with a score object attached, sorted by score
+ */
+const rankMeetups = (gaps, options = {}) => {
+  const {
+    totalFriends = 0,
+    maxMeetupLength = DEFAULT_PLANNER_SETTINGS.maxMeetupLength
+  } = options;
+
+  // Each slot keeps the minutes to the closest ranked slot on its day, updated after every pick
+  const remaining = gaps.map(gap => ({
+    gap: { ...gap, score: scoreMeetup(gap, totalFriends, maxMeetupLength) },
+    start: new Date(gap.start).getTime(),
+    closestMinutes: Infinity
+  }));
+  const ranked = [];
+
+  while (remaining.length > 0) {
+    // Take spread points away from slots crowding an already ranked one
+    remaining.forEach(({ gap, closestMinutes }) => {
+      const crowding = Math.max(0, 1 - closestMinutes / SPREAD_WINDOW_MINUTES);
+      gap.score.factors.spread = SCORE_WEIGHTS.spread * (1 - crowding);
+      gap.score.crowded = crowding > 0;
+      gap.score.total = getTotal(gap.score);
+    });
+
+    // Pick the best remaining slot, earlier first on a tie
+    let bestIdx = 0;
+    remaining.forEach((entry, idx) => {
+      const best = remaining[bestIdx];
+      if (entry.gap.score.total > best.gap.score.total ||
+        (entry.gap.score.total === best.gap.score.total && entry.start < best.start)) {
+        bestIdx = idx;
+      }
+    });
+
+    const picked = remaining.splice(bestIdx, 1)[0];
+    ranked.push(picked.gap);
+
+    remaining.forEach(entry => {
+      if (entry.gap.day !== picked.gap.day) return;
+      entry.closestMinutes = Math.min(entry.closestMinutes, Math.abs(picked.start - entry.start) / (60 * 1000));
+    });
+  }
+
+  return ranked;
+};
+
+/**
+ * Describe a meetup's score in plain words for the suggestion cards
+ * @param {Object} score - Score object attached by rankMeetups
+ * @returns {Array} - Short phrases such as "4/5 friends", "35 min free", "5 min walk"
+ */
+export const describeMeetupScore = (score) => {
+  if (!score) return [];
+
+  const parts = [
+    `${score.attendees}/${score.totalFriends} friends`,
+    `${score.freeMinutes} min free`,
+    score.walkMinutes > 0 ? `${score.walkMinutes} min walk` : 'no walk'
+  ];
+
+  if (score.missedMinutes > 0) {
+    parts.push(`${score.missedMinutes} min of maybe sets missed`);
+  }
+
+  if (score.crowded) {
+    parts.push('close to a better slot');
+  }
+
+  return parts;
+};
+
+export default rankMeetups;
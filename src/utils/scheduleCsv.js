@@ -0,0 +1,219 @@
+import { format, parseISO } from 'date-fns';
+import { getFestivalDate, placeTimeOnFestivalDay } from './festivalClock';
+import { inferFestivalDay } from './festivalDays';
+import { DEFAULT_SET_PRIORITY, SET_PRIORITIES, SET_PRIORITY_LABELS } from './setPriority';
+
+/**
+ * Set fields a CSV column can be mapped to, in export order
+ */
+export const CSV_FIELDS = ['artist', 'stage', 'day', 'start', 'end', 'priority'];
+
+/**
+ * Fields a row cannot be imported without
+ */
+export const REQUIRED_CSV_FIELDS = ['artist', 'start'];
+
+// Header names recognised for each field when guessing the column mapping
+const HEADER_ALIASES = {
+  artist: ['artist', 'act', 'performer', 'name', 'dj', 'set'],
+  stage: ['stage', 'venue', 'location', 'area'],
+  day: ['day', 'date'],
+  start: ['start', 'starts', 'start time', 'from', 'time', 'begin'],
+  end: ['end', 'ends', 'end time', 'to', 'until', 'finish'],
+  priority: ['priority', 'rating', 'interest']
+};
+
+/**
+ * Split CSV text into rows of cells
+ * Handles quoted cells with commas, doubled quotes and line breaks, and CRLF line endings
+ * @param {string} text - CSV text
+ * @returns {Array} - Rows, each an array of cell strings, without blank lines
+ */
+export const parseCsvText = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const source = (text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter(cells => cells.some(value => value.trim()));
+};
+
+/**
+ * Guess which column holds each set field from the header row
+ * @param {Array} headers - Header cells
+ * @returns {Object} - Column index by field, -1 for fields with no matching column
+ */
+export const guessCsvColumnMapping = (headers = []) => {
+  const normalized = headers.map(header => header.toLowerCase().replace(/[_-]/g, ' ').trim());
+  const used = new Set();
+
+  return CSV_FIELDS.reduce((mapping, field) => {
+    const index = normalized.findIndex((header, idx) => !used.has(idx) && HEADER_ALIASES[field].includes(header));
+    if (index >= 0) used.add(index);
+    return { ...mapping, [field]: index };
+  }, {});
+};
+
+/**
+ * Read a clock time from a CSV cell
+ * Accepts 24-hour ("21:30") and 12-hour ("9:30 PM", "9pm") times, and takes the time
+ * from the end of full date-times such as "2025-05-16 21:30"
+ * @param {string} value - Cell text
+ * @returns {Object|null} - Object with hours (24-hour) and minutes, or null if no time was found
+ */
+export const parseCsvTime = (value) => {
+  const match = (value || '').trim().match(/(?:^|[\sT])(\d{1,2})(?:[:.](\d{2}))?(?::\d{2})?\s*(am|pm)?$/i);
+  if (!match || (!match[2] && !match[3])) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3] && match[3].toLowerCase();
+  if (minutes > 59 || hours > (meridiem ? 12 : 23) || (meridiem && hours === 0)) return null;
+
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  return { hours, minutes };
+};
+
+/**
+ * Find the festival day a CSV day cell refers to
+ * Matches a day's id, label or date, then weekday names and "Day N" like screenshots do
+ * @param {string} value - Cell text
+ * @param {Array} festivalDays - Configured festival days
+ * @returns {Object|null} - The matching festival day, or null if none matched
+ */
+const findCsvDay = (value, festivalDays) => {
+  const text = (value || '').trim();
+  if (!text) return null;
+
+  const lower = text.toLowerCase();
+  const dateMatch = text.match(/\d{4}-\d{2}-\d{2}/);
+  return festivalDays.find(day => day.id === text || (day.label || '').toLowerCase() === lower) ||
+    (dateMatch && festivalDays.find(day => day.date === dateMatch[0])) ||
+    inferFestivalDay(text, festivalDays);
+};
+
+/**
+ * Read a set priority from a CSV cell, by value ("must") or label ("Must-see")
+ * @param {string} value - Cell text
+ * @returns {string|undefined} - One of SET_PRIORITIES, or undefined for a blank cell
+ */
+const findCsvPriority = (value) => {
+  const text = (value || '').trim().toLowerCase();
+  if (!text) return undefined;
+  return SET_PRIORITIES.find(priority => priority === text || SET_PRIORITY_LABELS[priority].toLowerCase() === text) || null;
+};
+
+/**
+ * Turn CSV rows into sets, keeping a reason for each row that could not be read
+ * @param {Array} rows - Data rows (without the header), each an array of cells
+ * @param {Object} mapping - Column index by field (see guessCsvColumnMapping), -1 for unmapped
+ * @param {Array} festivalDays - Configured festival days
+ * @param {Object} fallbackDay - Festival day for rows without a day column or value
+ * @returns {Array} - One entry per row with the row's cells and either a set or an error message
+ */
+const readScheduleCsv = (rows, mapping, festivalDays = [], fallbackDay = null) => {
+  const getCell = (cells, field) => (mapping[field] >= 0 ? (cells[mapping[field]] || '').trim() : '');
+
+  return rows.map(cells => {
+    const artist = getCell(cells, 'artist');
+    if (!artist) return { cells, error: 'No artist' };
+
+    const dayText = getCell(cells, 'day');
+    const day = dayText ? findCsvDay(dayText, festivalDays) : fallbackDay;
+    if (!day) return { cells, error: dayText ? `Unknown day "${dayText}"` : 'No festival day' };
+
+    const startTime = parseCsvTime(getCell(cells, 'start'));
+    if (!startTime) return { cells, error: `Unreadable start time "${getCell(cells, 'start')}"` };
+    const start = placeTimeOnFestivalDay(day, startTime.hours, startTime.minutes);
+
+    const endText = getCell(cells, 'end');
+    const endTime = endText ? parseCsvTime(endText) : null;
+    if (endText && !endTime) return { cells, error: `Unreadable end time "${endText}"` };
+    const end = endTime ? placeTimeOnFestivalDay(day, endTime.hours, endTime.minutes) : null;
+    if (end && end <= start) return { cells, error: 'Ends before it starts' };
+
+    const priority = findCsvPriority(getCell(cells, 'priority'));
+    if (priority === null) return { cells, error: `Unknown priority "${getCell(cells, 'priority')}"` };
+
+    return {
+      cells,
+      set: {
+        day: day.id,
+        artist,
+        stage: getCell(cells, 'stage') || 'Unknown Stage',
+        start: start.toISOString(),
+        ...(end && { end: end.toISOString() }),
+        ...(priority && priority !== DEFAULT_SET_PRIORITY && { priority })
+      }
+    };
+  });
+};
+
+/**
+ * Quote a CSV cell when it holds a comma, quote or line break
+ * @param {string} value - Cell text
+ * @returns {string} - Cell ready to join into a row
+ */
+const toCsvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write a schedule's sets as CSV with a header row, in the columns CSV import expects
+ * Days are written as their date so the file imports back onto the same days
+ * @param {Array} sets - Sets with day, artist, stage, start and optional end and priority
+ * @param {Array} festivalDays - Configured festival days
+ * @returns {string} - CSV text
+ */
+export const createScheduleCsv = (sets = [], festivalDays = []) => {
+  const rows = sets.map(set => {
+    const day = festivalDays.find(festivalDay => festivalDay.id === set.day);
+    const values = {
+      artist: set.artist,
+      stage: set.stage,
+      day: day ? day.date : getFestivalDate(set.start),
+      start: format(parseISO(set.start), 'HH:mm'),
+      end: set.end ? format(parseISO(set.end), 'HH:mm') : '',
+      priority: set.priority || DEFAULT_SET_PRIORITY
+    };
+    return CSV_FIELDS.map(field => toCsvCell(values[field])).join(',');
+  });
+
+  return [CSV_FIELDS.join(','), ...rows].join('\r\n');
+};
+
+export default readScheduleCsv;
@@ -0,0 +1,56 @@
+/**
+ * Set priorities, from sets a friend will not miss to sets they could skip
+ */
+export const SET_PRIORITIES = ['must', 'want', 'maybe'];
+
+/**
+ * Priority given to sets that have not been marked
+ */
+export const DEFAULT_SET_PRIORITY = 'want';
+
+/**
+ * Display label for each priority
+ */
+export const SET_PRIORITY_LABELS = {
+  must: 'Must-see',
+  want: 'Want',
+  maybe: 'Maybe'
+};
+
+/**
+ * Get a set's priority, falling back to the default for unmarked sets
+ * @param {Object} set - Set object
+ * @returns {string} - One of SET_PRIORITIES
+ */
+export const getSetPriority = (set) => {
+  return set && SET_PRIORITIES.includes(set.priority) ? set.priority : DEFAULT_SET_PRIORITY;
+};
+
+/**
+ * Get the priority that follows the given one, wrapping around
+ * Used to cycle a set's priority with a single button
+ * @param {string} priority - Current priority
+ * @returns {string} - Next priority
+ */
+export const getNextSetPriority = (priority) => {
+  const index = SET_PRIORITIES.indexOf(priority);
+  return SET_PRIORITIES[(index + 1) % SET_PRIORITIES.length];
+};
+
+/**
+ * Describe what a friend would have to give up for a meetup
+ * @param {Object} skip - Skip object with schedule, artist, action and minutes
+ * @returns {string} - Description such as "Sam leaves Zedd 20 min early"
+ */
+export const describeSetSkip = (skip) => {
+  switch (skip.action) {
+    case 'leave-early':
+      return `${skip.schedule} leaves ${skip.artist} ${skip.minutes} min early`;
+    case 'arrive-late':
+      return `${skip.schedule} gets to ${skip.artist} ${skip.minutes} min late`;
+    case 'step-out':
+      return `${skip.schedule} steps out of ${skip.artist} for ${skip.minutes} min`;
+    default:
+      return `${skip.schedule} skips ${skip.artist}`;
+  }
+};
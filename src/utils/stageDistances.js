@@ -0,0 +1,81 @@
+/**
+ * Normalize a stage name for matching (case and whitespace insensitive)
+ * @param {string} stage - Stage name
+ * @returns {string} - Normalized stage name
+ */
+const normalizeStage = (stage) => (stage ? String(stage).toLowerCase().trim().replace(/\s+/g, ' ') : '');
+
+// Placeholder stage name used when a set's stage could not be read
+const UNKNOWN_STAGE = 'unknown stage';
+
+/**
+ * Create the lookup key for a pair of stages
+ * Walking times are symmetric, so the key does not depend on the order
+ * @param {string} stageA - First stage name
+ * @param {string} stageB - Second stage name
+ * @returns {string} - Key for the stage pair
+ */
+export const getStagePairKey = (stageA, stageB) => {
+  return [normalizeStage(stageA), normalizeStage(stageB)].sort().join('|');
+};
+
+/**
+ * Get the walking time between two stages
+ * @param {Object} distances - Stage distance matrix keyed by stage pair
+ * @param {string} fromStage - Stage walking from
+ * @param {string} toStage - Stage walking to
+ * @param {number} defaultWalkTime - Minutes assumed for stage pairs without an entry
+ * @returns {number} - Walking time in minutes (0 for the same or an unknown stage)
+ */
+export const getWalkTime = (distances, fromStage, toStage, defaultWalkTime = 0) => {
+  const from = normalizeStage(fromStage);
+  const to = normalizeStage(toStage);
+
+  // Nothing to walk if either stage is unknown or both are the same
+  if (!from || !to || from === UNKNOWN_STAGE || to === UNKNOWN_STAGE || from === to) return 0;
+
+  const minutes = distances ? distances[getStagePairKey(from, to)] : undefined;
+  return typeof minutes === 'number' && minutes >= 0 ? minutes : defaultWalkTime;
+};
+
+/**
+ * Set the walking time between two stages
+ * @param {Object} distances - Stage distance matrix keyed by stage pair
+ * @param {string} stageA - First stage name
+ * @param {string} stageB - Second stage name
+ * @param {number|string} minutes - Walking time in minutes (empty to clear the entry)
+ * @returns {Object} - Updated stage distance matrix
+ */
+export const setWalkTime = (distances, stageA, stageB, minutes) => {
+  const key = getStagePairKey(stageA, stageB);
+  const updated = { ...(distances || {}) };
+  const value = parseInt(minutes, 10);
+
+  if (isNaN(value) || value < 0) {
+    delete updated[key];
+  } else {
+    updated[key] = value;
+  }
+
+  return updated;
+};
+
+/**
+ * Get the unique stage names used across schedules
+ * @param {Array} schedules - Array of schedule objects with sets
+ * @returns {Array} - Sorted array of stage names
+ */
+export const getScheduleStages = (schedules) => {
+  const stages = new Map();
+
+  (schedules || []).forEach(schedule => {
+    (schedule.sets || []).forEach(set => {
+      const key = normalizeStage(set.stage);
+      if (key && key !== UNKNOWN_STAGE && !stages.has(key)) {
+        stages.set(key, set.stage.trim());
+      }
+    });
+  });
+
+  return [...stages.values()].sort((a, b) => a.localeCompare(b));
+};